@@ -0,0 +1,337 @@
+// ---------------------------------------------------------------------------
+// collections.js — Zenith Runtime V0
+// ---------------------------------------------------------------------------
+// Reactive collections with granular change records.
+//
+// API:
+//   const todos = signalArray([{ id: 1, text: 'write docs' }]);
+//   todos.push({ id: 2, text: 'ship' });
+//   todos.move(1, 0);
+//   todos.get();   // frozen snapshot array
+//   todos.subscribeChanges((changes, snapshot) => { ... });
+//
+//   const users = signalMap([['ada', { online: true }]]);
+//   users.setKey('grace', { online: false });
+//   users.getKey('ada');
+//
+// Change records (applied in order they reproduce the collection):
+//   signalArray: insert { index, value } | remove { index, value }
+//                move { from, to, value } | update { index, value, previous }
+//   signalMap:   insert { key, value } | remove { key, value }
+//                update { key, value, previous }
+//   both:        reset { value } after set(next), and signalMap.clear()
+//
+// get()/peek() return read-only snapshots: a frozen array, or a Map whose
+// set/delete/clear throw. Edit through the collection methods instead.
+//
+// subscribe(fn) keeps the plain signal contract (fn receives the snapshot);
+// subscribeChanges(fn) receives every record since its last delivery, once
+// per propagation, so batched edits arrive together.
+// ---------------------------------------------------------------------------
+import {
+    _nextReactiveId,
+    _notifySubscribers,
+    _scheduleReactiveJob,
+    _trackDependency
+} from './zeneffect.js';
+
+function createChangeFeed(reactiveId, label) {
+    const subscribers = new Set();
+    const changeListeners = new Set();
+    let pendingChanges = [];
+
+    function flushChanges() {
+        if (pendingChanges.length === 0) {
+            return;
+        }
+        const changes = Object.freeze(pendingChanges);
+        pendingChanges = [];
+        const snapshot = feed.snapshot();
+        for (const listener of [...changeListeners]) {
+            listener(changes, snapshot);
+        }
+    }
+
+    const feed = {
+        snapshot: null,
+        emit(records) {
+            if (records.length === 0) {
+                return;
+            }
+            for (let i = 0; i < records.length; i++) {
+                pendingChanges.push(Object.freeze(records[i]));
+            }
+            // The snapshot is built once per delivery, not once per edit.
+            _notifySubscribers(reactiveId, subscribers, undefined, () => ({ changed: true, value: feed.snapshot() }));
+            if (changeListeners.size > 0) {
+                _scheduleReactiveJob(flushChanges, reactiveId);
+            } else {
+                pendingChanges = [];
+            }
+        },
+        subscribe(fn) {
+            if (typeof fn !== 'function') {
+                throw new Error(`[Zenith Runtime] ${label}.subscribe(fn) requires a function`);
+            }
+            subscribers.add(fn);
+            return function unsubscribe() {
+                subscribers.delete(fn);
+            };
+        },
+        subscribeChanges(fn) {
+            if (typeof fn !== 'function') {
+                throw new Error(`[Zenith Runtime] ${label}.subscribeChanges(fn) requires a function`);
+            }
+            changeListeners.add(fn);
+            return function unsubscribe() {
+                changeListeners.delete(fn);
+            };
+        }
+    };
+
+    return feed;
+}
+
+function rejectSnapshotWrite() {
+    throw new Error('[Zenith Runtime] signalMap snapshots are read-only; use setKey(), deleteKey() or clear()');
+}
+
+function readonlyMapSnapshot(entries) {
+    const snapshot = new Map(entries);
+    snapshot.set = rejectSnapshotWrite;
+    snapshot.delete = rejectSnapshotWrite;
+    snapshot.clear = rejectSnapshotWrite;
+    return Object.freeze(snapshot);
+}
+
+function normalizeArrayIndex(index, length, label, allowEnd) {
+    const max = allowEnd ? length : length - 1;
+    if (!Number.isInteger(index) || index < 0 || index > max) {
+        throw new Error(`[Zenith Runtime] ${label} index ${String(index)} is out of range`);
+    }
+    return index;
+}
+
+/**
+ * Create a reactive array that reports insert/remove/move/update records.
+ *
+ * @param {Array<*>} [initialItems]
+ * @returns {object}
+ */
+export function signalArray(initialItems = []) {
+    if (!Array.isArray(initialItems)) {
+        throw new Error('[Zenith Runtime] signalArray(initialItems) requires an array');
+    }
+
+    let items = initialItems.slice();
+    let snapshot = null;
+    const reactiveId = _nextReactiveId();
+    const feed = createChangeFeed(reactiveId, 'signalArray');
+
+    feed.snapshot = function readSnapshot() {
+        if (snapshot === null) {
+            snapshot = Object.freeze(items.slice());
+        }
+        return snapshot;
+    };
+
+    function commit(records) {
+        if (records.length === 0) {
+            return;
+        }
+        snapshot = null;
+        feed.emit(records);
+    }
+
+    function spliceItems(start, deleteCount, inserted) {
+        const removed = items.splice(start, deleteCount, ...inserted);
+        const records = [];
+        for (let i = 0; i < removed.length; i++) {
+            records.push({ type: 'remove', index: start, value: removed[i] });
+        }
+        for (let i = 0; i < inserted.length; i++) {
+            records.push({ type: 'insert', index: start + i, value: inserted[i] });
+        }
+        commit(records);
+        return removed;
+    }
+
+    const collection = {
+        __zenith_id: reactiveId,
+        get() {
+            _trackDependency(collection);
+            return feed.snapshot();
+        },
+        peek() {
+            return feed.snapshot();
+        },
+        get length() {
+            _trackDependency(collection);
+            return items.length;
+        },
+        at(index) {
+            _trackDependency(collection);
+            return items[index];
+        },
+        set(nextItems) {
+            if (!Array.isArray(nextItems)) {
+                throw new Error('[Zenith Runtime] signalArray.set(next) requires an array');
+            }
+            items = nextItems.slice();
+            snapshot = null;
+            commit([{ type: 'reset', value: feed.snapshot() }]);
+            return feed.snapshot();
+        },
+        push(...values) {
+            spliceItems(items.length, 0, values);
+            return items.length;
+        },
+        pop() {
+            return items.length === 0 ? undefined : spliceItems(items.length - 1, 1, [])[0];
+        },
+        shift() {
+            return items.length === 0 ? undefined : spliceItems(0, 1, [])[0];
+        },
+        unshift(...values) {
+            spliceItems(0, 0, values);
+            return items.length;
+        },
+        splice(start, deleteCount, ...values) {
+            const from = normalizeArrayIndex(start, items.length, 'signalArray.splice', true);
+            const count = deleteCount === undefined
+                ? items.length - from
+                : Math.max(0, Math.min(Math.floor(deleteCount), items.length - from));
+            return spliceItems(from, count, values);
+        },
+        insert(index, value) {
+            spliceItems(normalizeArrayIndex(index, items.length, 'signalArray.insert', true), 0, [value]);
+        },
+        remove(index) {
+            return spliceItems(normalizeArrayIndex(index, items.length, 'signalArray.remove', false), 1, [])[0];
+        },
+        move(from, to) {
+            const source = normalizeArrayIndex(from, items.length, 'signalArray.move', false);
+            const target = normalizeArrayIndex(to, items.length, 'signalArray.move', false);
+            if (source === target) {
+                return;
+            }
+            const [value] = items.splice(source, 1);
+            items.splice(target, 0, value);
+            commit([{ type: 'move', from: source, to: target, value }]);
+        },
+        setAt(index, value) {
+            const position = normalizeArrayIndex(index, items.length, 'signalArray.setAt', false);
+            const previous = items[position];
+            if (Object.is(previous, value)) {
+                return;
+            }
+            items[position] = value;
+            commit([{ type: 'update', index: position, value, previous }]);
+        },
+        subscribe: feed.subscribe,
+        subscribeChanges: feed.subscribeChanges
+    };
+
+    return collection;
+}
+
+function toMapEntries(initial, label) {
+    if (initial === undefined || initial === null) {
+        return [];
+    }
+    if (initial instanceof Map || Array.isArray(initial)) {
+        return Array.from(initial);
+    }
+    if (typeof initial === 'object') {
+        return Object.entries(initial);
+    }
+    throw new Error(`[Zenith Runtime] ${label} requires a Map, an entries array, or a plain object`);
+}
+
+/**
+ * Create a reactive keyed map that reports insert/remove/update records.
+ *
+ * @param {Map<*, *> | Array<[*, *]> | Record<string, *>} [initialEntries]
+ * @returns {object}
+ */
+export function signalMap(initialEntries) {
+    let entries = new Map(toMapEntries(initialEntries, 'signalMap(initialEntries)'));
+    let snapshot = null;
+    const reactiveId = _nextReactiveId();
+    const feed = createChangeFeed(reactiveId, 'signalMap');
+
+    feed.snapshot = function readSnapshot() {
+        if (snapshot === null) {
+            snapshot = readonlyMapSnapshot(entries);
+        }
+        return snapshot;
+    };
+
+    function commit(records) {
+        snapshot = null;
+        feed.emit(records);
+    }
+
+    const collection = {
+        __zenith_id: reactiveId,
+        get() {
+            _trackDependency(collection);
+            return feed.snapshot();
+        },
+        peek() {
+            return feed.snapshot();
+        },
+        get size() {
+            _trackDependency(collection);
+            return entries.size;
+        },
+        has(key) {
+            _trackDependency(collection);
+            return entries.has(key);
+        },
+        getKey(key) {
+            _trackDependency(collection);
+            return entries.get(key);
+        },
+        set(nextEntries) {
+            entries = new Map(toMapEntries(nextEntries, 'signalMap.set(next)'));
+            snapshot = null;
+            commit([{ type: 'reset', value: feed.snapshot() }]);
+            return feed.snapshot();
+        },
+        setKey(key, value) {
+            if (!entries.has(key)) {
+                entries.set(key, value);
+                commit([{ type: 'insert', key, value }]);
+                return;
+            }
+            const previous = entries.get(key);
+            if (Object.is(previous, value)) {
+                return;
+            }
+            entries.set(key, value);
+            commit([{ type: 'update', key, value, previous }]);
+        },
+        deleteKey(key) {
+            if (!entries.has(key)) {
+                return false;
+            }
+            const value = entries.get(key);
+            entries.delete(key);
+            commit([{ type: 'remove', key, value }]);
+            return true;
+        },
+        clear() {
+            if (entries.size === 0) {
+                return;
+            }
+            entries = new Map();
+            snapshot = null;
+            commit([{ type: 'reset', value: feed.snapshot() }]);
+        },
+        subscribe: feed.subscribe,
+        subscribeChanges: feed.subscribeChanges
+    };
+
+    return collection;
+}
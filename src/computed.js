@@ -0,0 +1,188 @@
+// ---------------------------------------------------------------------------
+// computed.js — Zenith Runtime V0
+// ---------------------------------------------------------------------------
+// Derived value primitive built on the zenEffect dependency collector.
+//
+// API:
+//   const total = computed(() => price.get() * quantity.get());
+//   const user = computed(() => ({ id: id.get() }), { equals: (a, b) => a.id === b.id });
+//   total.get();
+//   total.peek();   // read without registering a dependency
+//   const unsubscribe = total.subscribe((value) => { ... });
+//
+// Semantics:
+//   - Lazy: fn runs on first get() or subscribe(), never at creation
+//   - Cached: fn re-runs only after a tracked dependency changed
+//   - Subscribers are notified only when the derived value changes
+//   - Dependencies are subscribed only while the computed has subscribers;
+//     get()/peek()-only reads re-check each dependency's peek() instead, so an
+//     unobserved computed holds no subscription and can be garbage collected
+// ---------------------------------------------------------------------------
+import {
+    _derivedListener,
+    _nextReactiveId,
+    _notifySubscribers,
+    _resolveEqualsOption,
+    _runWithDependencyCollector,
+    _trackDependency
+} from './zeneffect.js';
+
+/**
+ * Create a lazily evaluated, cached derived signal.
+ *
+ * @param {() => *} fn
+ * @param {{ equals?: ((prev: *, next: *) => boolean) | false }} [options]
+ * @returns {{ get: () => *, peek: () => *, subscribe: (fn: (value: *) => void) => () => void }}
+ */
+export function computed(fn, options) {
+    if (typeof fn !== 'function') {
+        throw new Error('[Zenith Runtime] computed(fn) requires a function');
+    }
+    const equals = _resolveEqualsOption(options, Object.is, 'computed(fn, options)');
+
+    let value;
+    let version = 0;
+    let dirty = true;
+    let computing = false;
+    const subscribers = new Set();
+    const dependencies = new Map();
+    // [source, value seen at the last evaluation], used while disconnected
+    let observed = [];
+    const reactiveId = _nextReactiveId();
+
+    // Marking only: the value is recomputed when a subscriber is flushed (or
+    // on the next get()), so diamond-shaped graphs never observe a half-updated
+    // world and unchanged results never reach subscribers.
+    const onDependencyChange = _derivedListener(function onDependencyChange() {
+        if (dirty) {
+            return;
+        }
+        dirty = true;
+
+        if (subscribers.size === 0) {
+            return;
+        }
+
+        const markedVersion = version;
+        _notifySubscribers(reactiveId, subscribers, undefined, () => {
+            if (dirty) {
+                evaluate();
+            }
+            return { changed: version !== markedVersion, value };
+        });
+    });
+
+    function isStale() {
+        if (dirty) {
+            return true;
+        }
+        if (subscribers.size > 0) {
+            return false;
+        }
+        for (let i = 0; i < observed.length; i++) {
+            const [source, seen] = observed[i];
+            if (typeof source.peek !== 'function' || !Object.is(source.peek(), seen)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function evaluate() {
+        if (computing) {
+            throw new Error('[Zenith Runtime] computed(fn) detected a circular dependency');
+        }
+
+        const nextDependenciesById = new Map();
+        let nextValue;
+        computing = true;
+        try {
+            nextValue = _runWithDependencyCollector((source) => {
+                if (!source || typeof source.subscribe !== 'function') {
+                    return;
+                }
+                const sourceId = Number.isInteger(source.__zenith_id) ? source.__zenith_id : 0;
+                if (!nextDependenciesById.has(sourceId)) {
+                    nextDependenciesById.set(sourceId, source);
+                }
+            }, fn);
+        } finally {
+            computing = false;
+        }
+        dirty = false;
+
+        if (version === 0 || !equals(value, nextValue)) {
+            value = nextValue;
+            version += 1;
+        }
+
+        const nextSet = new Set(nextDependenciesById.values());
+        observed = [];
+        for (const dependency of nextSet) {
+            observed.push([dependency, typeof dependency.peek === 'function' ? dependency.peek() : undefined]);
+        }
+        if (subscribers.size > 0) {
+            subscribeDependencies(nextSet);
+        }
+    }
+
+    function subscribeDependencies(nextSet) {
+        for (const [dependency, unsubscribe] of dependencies.entries()) {
+            if (nextSet.has(dependency)) {
+                continue;
+            }
+            unsubscribe();
+            dependencies.delete(dependency);
+        }
+
+        for (const dependency of nextSet) {
+            if (dependencies.has(dependency)) {
+                continue;
+            }
+            const unsubscribe = dependency.subscribe(onDependencyChange);
+            dependencies.set(dependency, typeof unsubscribe === 'function' ? unsubscribe : () => { });
+        }
+    }
+
+    function disconnect() {
+        for (const unsubscribe of dependencies.values()) {
+            unsubscribe();
+        }
+        dependencies.clear();
+    }
+
+    function read() {
+        if (isStale()) {
+            evaluate();
+        }
+        return value;
+    }
+
+    return {
+        __zenith_id: reactiveId,
+        get() {
+            _trackDependency(this);
+            return read();
+        },
+        peek() {
+            return read();
+        },
+        subscribe(subscriber) {
+            if (typeof subscriber !== 'function') {
+                throw new Error('[Zenith Runtime] computed.subscribe(fn) requires a function');
+            }
+
+            read();
+            subscribers.add(subscriber);
+            if (subscribers.size === 1) {
+                subscribeDependencies(new Set(observed.map((entry) => entry[0])));
+            }
+            return function unsubscribe() {
+                subscribers.delete(subscriber);
+                if (subscribers.size === 0) {
+                    disconnect();
+                }
+            };
+        }
+    };
+}
@@ -3,14 +3,21 @@ const MAX_MESSAGE_LENGTH = 120;
 const MAX_HINT_LENGTH = 140;
 const MAX_PATH_LENGTH = 120;
 
-const VALID_PHASES = new Set(['hydrate', 'bind', 'render', 'event']);
+const VALID_PHASES = new Set(['hydrate', 'bind', 'render', 'event', 'storage', 'effect']);
 const VALID_CODES = new Set([
     'UNRESOLVED_EXPRESSION',
     'NON_RENDERABLE_VALUE',
     'MARKER_MISSING',
     'FRAGMENT_MOUNT_FAILED',
     'BINDING_APPLY_FAILED',
-    'EVENT_HANDLER_FAILED'
+    'EVENT_HANDLER_FAILED',
+    'STORAGE_READ_FAILED',
+    'STORAGE_WRITE_FAILED',
+    'SHARED_SYNC_FAILED',
+    'EFFECT_FAILED',
+    'INFINITE_UPDATE_LOOP',
+    'STATE_NOT_SERIALIZABLE',
+    'STATE_RESUME_FAILED'
 ]);
 
 function _truncate(input, maxLength) {
@@ -275,6 +282,20 @@ function _reportRuntimeError(error) {
     _renderOverlay(payload);
 }
 
+// Dev-only advisory output; production builds stay silent.
+export function _reportRuntimeWarning(message) {
+    if (!_isDevDiagnosticsMode()) return;
+    if (typeof console !== 'undefined' && typeof console.warn === 'function') {
+        console.warn(`[Zenith Runtime] ${_sanitizeAbsolutePaths(message)}`);
+    }
+}
+
+export function reportZenithRuntimeError(details, cause) {
+    const error = createZenithRuntimeError(details, cause);
+    _reportRuntimeError(error);
+    return error;
+}
+
 export function throwZenithRuntimeError(details, cause) {
     const error = createZenithRuntimeError(details, cause);
     _reportRuntimeError(error);
@@ -0,0 +1,162 @@
+// ---------------------------------------------------------------------------
+// history.js — Zenith Runtime V0
+// ---------------------------------------------------------------------------
+// Undo/redo history for state() stores.
+//
+// API:
+//   const store = state({ text: '' });
+//   const edits = history(store, { limit: 50 });
+//   store.set({ text: 'a' });
+//   edits.undo();
+//   edits.redo();
+//   edits.canUndo.get();
+//   edits.group(() => { store.set(...); store.set(...); });  // one entry
+//   edits.dispose();
+//
+// History records the frozen snapshots emitted by state.set, so entries are
+// shared by reference and never copied.
+// ---------------------------------------------------------------------------
+import { batch } from './zeneffect.js';
+import { signal } from './signal.js';
+import { computed } from './computed.js';
+
+const DEFAULT_HISTORY_LIMIT = 100;
+
+function normalizeHistoryLimit(options) {
+    if (options === undefined || options === null) {
+        return DEFAULT_HISTORY_LIMIT;
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('[Zenith Runtime] history(store, options) requires options object when provided');
+    }
+    if (options.limit === undefined || options.limit === null) {
+        return DEFAULT_HISTORY_LIMIT;
+    }
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+        throw new Error('[Zenith Runtime] history options.limit must be a positive integer');
+    }
+    return options.limit;
+}
+
+/**
+ * Record undo/redo history for a state() store.
+ *
+ * @param {{ peek: () => object, set: Function, subscribe: (fn: (next: object) => void) => () => void }} store
+ * @param {{ limit?: number }} [options]
+ * @returns {{
+ *   undo: () => boolean,
+ *   redo: () => boolean,
+ *   canUndo: { get: () => boolean, subscribe: (fn: (value: boolean) => void) => () => void },
+ *   canRedo: { get: () => boolean, subscribe: (fn: (value: boolean) => void) => () => void },
+ *   group: <T>(fn: () => T) => T,
+ *   clear: () => void,
+ *   dispose: () => void
+ * }}
+ */
+export function history(store, options) {
+    if (!store || typeof store.peek !== 'function' || typeof store.set !== 'function' || typeof store.subscribe !== 'function') {
+        throw new Error('[Zenith Runtime] history(store) requires a state() store');
+    }
+
+    const limit = normalizeHistoryLimit(options);
+    const past = [];
+    const future = [];
+    const pastSize = signal(0);
+    const futureSize = signal(0);
+    let present = store.peek();
+    let grouping = 0;
+    let restoring = false;
+    let disposed = false;
+
+    function syncSizes() {
+        batch(() => {
+            pastSize.set(past.length);
+            futureSize.set(future.length);
+        });
+    }
+
+    function record(previous, next) {
+        past.push(previous);
+        if (past.length > limit) {
+            past.splice(0, past.length - limit);
+        }
+        future.length = 0;
+        present = next;
+        syncSizes();
+    }
+
+    function restore(snapshot) {
+        restoring = true;
+        try {
+            store.set(() => snapshot);
+        } finally {
+            restoring = false;
+        }
+        present = store.peek();
+    }
+
+    const unsubscribe = store.subscribe((next) => {
+        // Inside a batch the notification arrives after `present` already
+        // points at the committed snapshot, so identity filters it out.
+        if (grouping > 0 || restoring || next === present) {
+            return;
+        }
+        record(present, next);
+    });
+
+    return {
+        canUndo: computed(() => pastSize.get() > 0),
+        canRedo: computed(() => futureSize.get() > 0),
+        undo() {
+            if (disposed || past.length === 0) {
+                return false;
+            }
+            future.push(present);
+            restore(past.pop());
+            syncSizes();
+            return true;
+        },
+        redo() {
+            if (disposed || future.length === 0) {
+                return false;
+            }
+            past.push(present);
+            restore(future.pop());
+            syncSizes();
+            return true;
+        },
+        group(fn) {
+            if (typeof fn !== 'function') {
+                throw new Error('[Zenith Runtime] history.group(fn) requires a function');
+            }
+
+            const before = present;
+            grouping += 1;
+            try {
+                return batch(fn);
+            } finally {
+                grouping -= 1;
+                const after = store.peek();
+                if (!disposed && grouping === 0 && after !== before) {
+                    record(before, after);
+                }
+            }
+        },
+        clear() {
+            past.length = 0;
+            future.length = 0;
+            present = store.peek();
+            syncSizes();
+        },
+        dispose() {
+            if (disposed) {
+                return;
+            }
+            disposed = true;
+            unsubscribe();
+            past.length = 0;
+            future.length = 0;
+            syncSizes();
+        }
+    };
+}
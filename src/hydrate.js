@@ -8,16 +8,36 @@
 // ---------------------------------------------------------------------------
 
 import { _registerDisposer, _registerListener, cleanup } from './cleanup.js';
-import { isZenithRuntimeError, rethrowZenithRuntimeError, throwZenithRuntimeError } from './diagnostics.js';
+import {
+    _reportRuntimeWarning,
+    isZenithRuntimeError,
+    rethrowZenithRuntimeError,
+    throwZenithRuntimeError
+} from './diagnostics.js';
+import { _isRefObject } from './ref.js';
 import { signal } from './signal.js';
-import { state } from './state.js';
+import { state, UNSAFE_MEMBER_KEYS } from './state.js';
+import { computed } from './computed.js';
+import { signalArray, signalMap as createSignalMap } from './collections.js';
+import { shared } from './shared.js';
+import { resource } from './resource.js';
+import { fromEvent, fromObservable, fromPromise, toObservable } from './interop.js';
+import { _resumeStateValues } from './serialize.js';
 import {
+    _currentUpdate,
+    _getMaxUpdateDepth,
+    _registerSideEffectDisposer,
+    _runWithDependencyCollector,
+    _scheduleReactiveJob,
     zeneffect,
     zenEffect,
     zenMount,
+    watch,
     createSideEffectScope,
     activateSideEffectScope,
-    disposeSideEffectScope
+    disposeSideEffectScope,
+    runInScope,
+    setSideEffectScopeErrorHandler
 } from './zeneffect.js';
 
 const ALIAS_CONFLICT = Symbol('alias_conflict');
@@ -25,13 +45,16 @@ const ACTIVE_MARKER_CLASS = 'z-active';
 const UNRESOLVED_LITERAL = Symbol('unresolved_literal');
 const LEGACY_MARKUP_HELPER = 'html';
 
+// provide()/inject(): host element -> component scope, scope -> Map(key -> value)
+const CONTEXT_HOST_SCOPES = new WeakMap();
+const CONTEXT_SCOPE_VALUES = new WeakMap();
+
 const BOOLEAN_ATTRIBUTES = new Set([
     'disabled', 'checked', 'selected', 'readonly', 'multiple',
     'hidden', 'autofocus', 'required', 'open'
 ]);
 
 const STRICT_MEMBER_CHAIN_LITERAL_RE = /^(?:true|false|null|undefined|[A-Za-z_$][A-Za-z0-9_$]*(\.[A-Za-z_$][A-Za-z0-9_$]*)*)$/;
-const UNSAFE_MEMBER_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
 
 /**
  * Hydrate a pre-rendered DOM tree using explicit payload tables.
@@ -46,7 +69,8 @@ const UNSAFE_MEMBER_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
  *   state_values: Array<*>,
  *   state_keys?: Array<string>,
  *   signals: Array<{ id: number, kind: 'signal', state_index: number }>,
- *   components?: Array<{ instance: string, selector: string, create: Function }>
+ *   components?: Array<{ instance: string, selector: string, create: Function }>,
+ *   resume?: string | object
  * }} payload
  * @returns {() => void}
  */
@@ -69,9 +93,14 @@ export function hydrate(payload) {
             params,
             ssrData,
             props,
-            exprFns
+            exprFns,
+            resume
         } = normalized;
 
+        if (resume !== null) {
+            _resumeStateValues(resume, stateValues, stateKeys);
+        }
+
         const componentBindings = Object.create(null);
 
         const signalMap = new Map();
@@ -112,26 +141,63 @@ export function hydrate(payload) {
             }));
             const hosts = _resolveNodes(root, component.selector, i, 'component');
             for (let j = 0; j < hosts.length; j++) {
+                const host = hosts[j];
                 const componentScope = createSideEffectScope(`${component.instance}:${j}`);
+                CONTEXT_HOST_SCOPES.set(host, componentScope);
                 const runtimeApi = {
+                    scope: componentScope,
                     signal,
                     state,
-                    zeneffect(effect, dependenciesOrOptions) {
-                        return zeneffect(effect, dependenciesOrOptions, componentScope);
+                    computed,
+                    signalArray,
+                    signalMap: createSignalMap,
+                    zeneffect(effectOrDependencies, optionsOrEffect, options) {
+                        if (Array.isArray(effectOrDependencies)) {
+                            return zeneffect(effectOrDependencies, optionsOrEffect, options, componentScope);
+                        }
+                        return zeneffect(effectOrDependencies, optionsOrEffect, componentScope);
                     },
                     zenEffect(effect, options) {
                         return zenEffect(effect, options, componentScope);
                     },
                     zenMount(callback) {
                         return zenMount(callback, componentScope);
+                    },
+                    watch(sources, callback, options) {
+                        return watch(sources, callback, options, componentScope);
+                    },
+                    shared(source, channelName) {
+                        return shared(source, channelName, componentScope);
+                    },
+                    resource(source, fetcher) {
+                        return resource(source, fetcher, componentScope);
+                    },
+                    fromObservable(observable, initialValue) {
+                        return fromObservable(observable, initialValue, componentScope);
+                    },
+                    fromEvent(target, eventName, map) {
+                        return fromEvent(target, eventName, map, componentScope);
+                    },
+                    fromPromise(promise) {
+                        return fromPromise(promise, componentScope);
+                    },
+                    toObservable,
+                    provide(key, value) {
+                        _provideContext(componentScope, key, value);
+                    },
+                    inject(key, fallback) {
+                        return _injectContext(componentScope, host, key, arguments.length > 1, fallback);
+                    },
+                    onError(handler) {
+                        setSideEffectScopeErrorHandler(componentScope, handler);
                     }
                 };
-                const instance = component.create(hosts[j], resolvedProps, runtimeApi);
+                const instance = runInScope(componentScope, () => component.create(host, resolvedProps, runtimeApi));
                 if (!instance || typeof instance !== 'object') {
                     throw new Error(`[Zenith Runtime] component factory for ${component.instance} must return an object`);
                 }
                 if (typeof instance.mount === 'function') {
-                    instance.mount();
+                    runInScope(componentScope, () => instance.mount());
                 }
                 activateSideEffectScope(componentScope);
                 _registerDisposer(() => {
@@ -155,6 +221,91 @@ export function hydrate(payload) {
             expressionMarkerIndices.add(expression.marker_index);
         }
 
+        // Compiled fn_index expressions run inside a dependency collector, so
+        // every get() they perform is subscribed even when signal_indices
+        // misses it. Declared signals keep their table subscription below.
+        const trackedMarkerSubscriptions = new Map();
+        const warnedMarkerIndices = new Set();
+        _registerDisposer(() => {
+            for (const subscriptions of trackedMarkerSubscriptions.values()) {
+                for (const unsubscribe of subscriptions.values()) {
+                    unsubscribe();
+                }
+            }
+            trackedMarkerSubscriptions.clear();
+        });
+
+        function evaluateMarkerExpression(index, kind) {
+            const expression = expressions[index];
+            const evaluate = () => _evaluateExpression(
+                expression,
+                stateValues,
+                stateKeys,
+                signalMap,
+                componentBindings,
+                params,
+                ssrData,
+                kind,
+                props,
+                exprFns
+            );
+            if (expression.fn_index === null || expression.fn_index === undefined) {
+                return evaluate();
+            }
+            const tracked = new Set();
+            const value = _runWithDependencyCollector((source) => {
+                if (source && typeof source.subscribe === 'function') {
+                    tracked.add(source);
+                }
+            }, evaluate);
+            syncTrackedMarkerDependencies(index, tracked);
+            return value;
+        }
+
+        function syncTrackedMarkerDependencies(index, tracked) {
+            const declaredIndices = _resolveExpressionSignalIndices(expressions[index]);
+            const declared = new Set(declaredIndices.map((signalIndex) => signalMap.get(signalIndex)));
+            const listed = new Set(signalMap.values());
+            let subscriptions = trackedMarkerSubscriptions.get(index);
+            if (!subscriptions) {
+                subscriptions = new Map();
+                trackedMarkerSubscriptions.set(index, subscriptions);
+            }
+
+            for (const [source, unsubscribe] of subscriptions.entries()) {
+                if (!tracked.has(source)) {
+                    unsubscribe();
+                    subscriptions.delete(source);
+                }
+            }
+
+            const undeclared = [];
+            for (const source of tracked) {
+                if (declared.has(source)) {
+                    continue;
+                }
+                // Sources reached through props or component bindings are not
+                // in the signals table, so the compiler cannot declare them.
+                if (listed.has(source)) {
+                    undeclared.push(source);
+                }
+                if (subscriptions.has(source)) {
+                    continue;
+                }
+                const unsubscribe = source.subscribe(() => {
+                    scheduleMarkerRenders([index], source);
+                });
+                subscriptions.set(source, typeof unsubscribe === 'function' ? unsubscribe : () => { });
+            }
+
+            // Declared signals that were not read are fine (untaken branches);
+            // reads the compiler did not declare point at a bundler bug.
+            if (undeclared.length > 0 && !warnedMarkerIndices.has(index)) {
+                warnedMarkerIndices.add(index);
+                _warnUndeclaredMarkerDependencies(index, expressions[index], undeclared, signalMap);
+            }
+        }
+
         const markerByIndex = new Map();
         const markerNodesByIndex = new Map();
         const markerIndices = new Set();
@@ -172,18 +323,7 @@ export function hydrate(payload) {
 
             const nodes = _resolveNodes(root, marker.selector, marker.index, marker.kind);
             markerNodesByIndex.set(marker.index, nodes);
-            const value = _evaluateExpression(
-                expressions[marker.index],
-                stateValues,
-                stateKeys,
-                signalMap,
-                componentBindings,
-                params,
-                ssrData,
-                marker.kind,
-                props,
-                exprFns
-            );
+            const value = evaluateMarkerExpression(marker.index, marker.kind);
             _applyMarkerValue(nodes, marker, value);
         }
 
@@ -200,21 +340,59 @@ export function hydrate(payload) {
             }
             const nodes = markerNodesByIndex.get(index) || _resolveNodes(root, marker.selector, marker.index, marker.kind);
             markerNodesByIndex.set(index, nodes);
-            const value = _evaluateExpression(
-                expressions[index],
-                stateValues,
-                stateKeys,
-                signalMap,
-                componentBindings,
-                params,
-                ssrData,
-                marker.kind,
-                props,
-                exprFns
-            );
+            const value = evaluateMarkerExpression(index, marker.kind);
             _applyMarkerValue(nodes, marker, value);
         }
 
+        // One render job per marker: a propagation that touches several of a
+        // marker's signals re-renders it once, ordered by reactive id.
+        const markerRenderJobs = new Map();
+        const markerTriggerIds = new Map();
+        function renderMarkerJob(index) {
+            const triggerIds = markerTriggerIds.get(index);
+            if (triggerIds && _currentUpdate().depth <= 1) {
+                triggerIds.clear();
+            }
+            renderMarkerByIndex(index);
+        }
+
+        // Checked when the render is queued, one level before the flush loop's
+        // own cutoff, so a marker feedback loop is reported with its marker.
+        function guardMarkerLoop(index) {
+            if (_currentUpdate().depth <= _getMaxUpdateDepth()) {
+                return;
+            }
+            const ids = Array.from(markerTriggerIds.get(index)).sort((left, right) => left - right);
+            markerTriggerIds.delete(index);
+            const marker = markerByIndex.get(index);
+            throwZenithRuntimeError({
+                phase: 'render',
+                code: 'INFINITE_UPDATE_LOOP',
+                message: `marker ${index} exceeded ${_getMaxUpdateDepth()} nested updates (signals ${ids.map((id) => `#${id}`).join(', ')})`,
+                marker: { type: _markerTypeForError(marker ? marker.kind : 'text'), id: index },
+                path: `marker[${index}]`,
+                hint: 'Marker expressions must not write the state they read.'
+            });
+        }
+
+        function scheduleMarkerRenders(markerIndexes, source) {
+            const reactiveId = Number.isInteger(source.__zenith_id) ? source.__zenith_id : 0;
+            for (let i = 0; i < markerIndexes.length; i++) {
+                const index = markerIndexes[i];
+                let job = markerRenderJobs.get(index);
+                if (!job) {
+                    job = () => renderMarkerJob(index);
+                    markerRenderJobs.set(index, job);
+                }
+                if (!markerTriggerIds.has(index)) {
+                    markerTriggerIds.set(index, new Set());
+                }
+                markerTriggerIds.get(index).add(reactiveId);
+                guardMarkerLoop(index);
+                _scheduleReactiveJob(job, reactiveId);
+            }
+        }
+
         const dependentMarkersBySignal = new Map();
         for (let i = 0; i < expressions.length; i++) {
             const expression = expressions[i];
@@ -237,9 +415,44 @@ export function hydrate(payload) {
                 throw new Error(`[Zenith Runtime] expression references unknown signal id ${signalId}`);
             }
             const unsubscribe = targetSignal.subscribe(() => {
-                for (let i = 0; i < markerIndexes.length; i++) {
-                    renderMarkerByIndex(markerIndexes[i]);
-                }
+                scheduleMarkerRenders(markerIndexes, targetSignal);
+            });
+            if (typeof unsubscribe === 'function') {
+                _registerDisposer(unsubscribe);
+            }
+        }
+
+        // state_index bindings that resolve to a reactive value (a state()
+        // store, or anything with get/subscribe) that is not listed in signals[].
+        const dependentMarkersByStateValue = new Map();
+        for (let i = 0; i < expressions.length; i++) {
+            const expression = expressions[i];
+            if (!Number.isInteger(expression.state_index) || expression.fn_index != null) {
+                continue;
+            }
+            if (_resolveExpressionSignalIndices(expression).length > 0) {
+                continue;
+            }
+            const marker = markerByIndex.get(expression.marker_index);
+            if (!marker || marker.kind === 'event') {
+                continue;
+            }
+            const candidate = stateValues[expression.state_index];
+            if (!candidate || typeof candidate !== 'object') {
+                continue;
+            }
+            if (typeof candidate.get !== 'function' || typeof candidate.subscribe !== 'function') {
+                continue;
+            }
+            if (!dependentMarkersByStateValue.has(candidate)) {
+                dependentMarkersByStateValue.set(candidate, []);
+            }
+            dependentMarkersByStateValue.get(candidate).push(expression.marker_index);
+        }
+
+        for (const [stateValue, markerIndexes] of dependentMarkersByStateValue.entries()) {
+            const unsubscribe = stateValue.subscribe(() => {
+                scheduleMarkerRenders(markerIndexes, stateValue);
             });
             if (typeof unsubscribe === 'function') {
                 _registerDisposer(unsubscribe);
@@ -274,9 +487,7 @@ export function hydrate(payload) {
 
         for (const [componentSignal, markerIndexes] of dependentMarkersByComponentSignal.entries()) {
             const unsubscribe = componentSignal.subscribe(() => {
-                for (let i = 0; i < markerIndexes.length; i++) {
-                    renderMarkerByIndex(markerIndexes[i]);
-                }
+                scheduleMarkerRenders(markerIndexes, componentSignal);
             });
             if (typeof unsubscribe === 'function') {
                 _registerDisposer(unsubscribe);
@@ -465,6 +676,10 @@ function _validatePayload(payload) {
         ? payload.ssr_data
         : {};
     const exprFns = Array.isArray(payload.expr_fns) ? payload.expr_fns : [];
+    const resume = payload.resume === undefined || payload.resume === null ? null : payload.resume;
+    if (resume !== null && typeof resume !== 'string' && (typeof resume !== 'object' || Array.isArray(resume))) {
+        throw new Error('[Zenith Runtime] hydrate(payload) requires resume to be a JSON string or object when provided');
+    }
 
     if (markers.length !== expressions.length) {
         throw new Error(
@@ -665,7 +880,8 @@ function _validatePayload(payload) {
         params: Object.freeze(params),
         ssrData: Object.freeze(ssrData),
         props: Object.freeze(props),
-        exprFns: Object.freeze(exprFns)
+        exprFns: Object.freeze(exprFns),
+        resume
     };
 
     return Object.freeze(validatedPayload);
@@ -714,6 +930,62 @@ function _resolveComponentProps(propTable, signalMap, context = {}) {
     return resolved;
 }
 
+function _describeContextKey(key) {
+    return typeof key === 'symbol' ? key.toString() : `"${key}"`;
+}
+
+function _provideContext(scope, key, value) {
+    if (typeof key !== 'string' && typeof key !== 'symbol') {
+        throw new Error('[Zenith Runtime] provide(key, value) requires a string or symbol key');
+    }
+    let values = CONTEXT_SCOPE_VALUES.get(scope);
+    if (!values) {
+        values = new Map();
+        CONTEXT_SCOPE_VALUES.set(scope, values);
+    }
+    if (values.has(key)) {
+        throw new Error(`[Zenith Runtime] ${scope.label} already provides ${_describeContextKey(key)}`);
+    }
+    values.set(key, value);
+    _registerSideEffectDisposer(() => {
+        values.delete(key);
+        if (value && typeof value === 'object' && typeof value.dispose === 'function') {
+            value.dispose();
+        }
+    }, scope);
+}
+
+function _lookupContext(scope, key) {
+    const values = scope ? CONTEXT_SCOPE_VALUES.get(scope) : null;
+    return values && values.has(key) ? { value: values.get(key) } : null;
+}
+
+function _injectContext(scope, host, key, hasFallback, fallback) {
+    if (typeof key !== 'string' && typeof key !== 'symbol') {
+        throw new Error('[Zenith Runtime] inject(key) requires a string or symbol key');
+    }
+    // Nested components resolve through their hosts: the nearest ancestor
+    // host whose component scope provides `key` wins.
+    for (let node = host.parentNode; node; node = node.parentNode) {
+        const found = _lookupContext(CONTEXT_HOST_SCOPES.get(node), key);
+        if (found) {
+            return found.value;
+        }
+    }
+    // Hosts outside the provider's subtree (islands hydrated from inside a
+    // component) still resolve through the scope they were created in.
+    for (let parent = scope.parent; parent; parent = parent.parent) {
+        const found = _lookupContext(parent, key);
+        if (found) {
+            return found.value;
+        }
+    }
+    if (hasFallback) {
+        return fallback;
+    }
+    throw new Error(`[Zenith Runtime] ${scope.label} injects ${_describeContextKey(key)} but no ancestor provides it`);
+}
+
 function _resolveNodes(root, selector, index, kind) {
     const nodes = root.querySelectorAll(selector);
     if (!nodes || nodes.length === 0) {
@@ -729,6 +1001,20 @@ function _resolveNodes(root, selector, index, kind) {
     return nodes;
 }
 
+function _warnUndeclaredMarkerDependencies(index, expression, sources, signalMap) {
+    const labels = [];
+    for (const [signalIndex, candidate] of signalMap.entries()) {
+        if (sources.includes(candidate)) {
+            labels.push(`signal ${signalIndex}`);
+        }
+    }
+    const declared = _resolveExpressionSignalIndices(expression);
+    _reportRuntimeWarning(
+        `marker ${index} (fn_index ${expression.fn_index}) read ${labels.join(', ')} `
+        + `not declared in signal_indices [${declared.join(', ')}]; tracking it automatically`
+    );
+}
+
 function _resolveExpressionSignalIndices(binding) {
     if (!binding || typeof binding !== 'object') {
         return [];
@@ -1776,29 +2062,6 @@ function _deepFreezePayload(obj) {
     }
 }
 
-function _isHydrationRefObject(obj) {
-    if (!obj || typeof obj !== 'object') {
-        return false;
-    }
-    if (obj.__zenith_ref === true) {
-        return true;
-    }
-    if (!Object.prototype.hasOwnProperty.call(obj, 'current')) {
-        return false;
-    }
-    if (typeof obj.get === 'function' && typeof obj.subscribe === 'function') {
-        return false;
-    }
-    const keys = Object.keys(obj);
-    if (keys.length === 1 && keys[0] === 'current') {
-        return true;
-    }
-    if (keys.length === 2 && keys.includes('current') && keys.includes('__zenith_ref')) {
-        return true;
-    }
-    return false;
-}
-
 function _isPlainObject(value) {
     if (!value || typeof value !== 'object' || Array.isArray(value)) {
         return false;
@@ -1811,7 +2074,7 @@ function _isHydrationFreezableContainer(value) {
     if (Array.isArray(value)) return true;
     if (!_isPlainObject(value)) return false;
 
-    if (_isHydrationRefObject(value)) {
+    if (_isRefObject(value)) {
         return false;
     }
     if (typeof value.get === 'function' && typeof value.subscribe === 'function') {
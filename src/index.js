@@ -1,6 +1,21 @@
 export { signal } from './signal.js';
-export { state } from './state.js';
-export { zeneffect } from './zeneffect.js';
+export { state, shallowEqual } from './state.js';
+export { computed } from './computed.js';
+export { signalArray, signalMap } from './collections.js';
+export { history } from './history.js';
+export { persisted } from './persisted.js';
+export { shared } from './shared.js';
+export { resource } from './resource.js';
+export { fromObservable, toObservable, fromEvent, fromPromise } from './interop.js';
+export { fromTC39Signal, toTC39Signal } from './tc39.js';
+export { serializeState } from './serialize.js';
+export { zeneffect, watch, batch, transaction, untrack, setMaxUpdateDepth } from './zeneffect.js';
+export {
+    createSideEffectScope,
+    activateSideEffectScope,
+    disposeSideEffectScope,
+    runInScope
+} from './zeneffect.js';
 export { hydrate } from './hydrate.js';
 export { zenWindow, zenDocument } from './env.js';
 export { zenOn, zenResize, collectRefs } from './platform.js';
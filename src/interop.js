@@ -0,0 +1,206 @@
+// ---------------------------------------------------------------------------
+// interop.js — Zenith Runtime V0
+// ---------------------------------------------------------------------------
+// Bridges between signals and observables, DOM events and promises.
+//
+// API:
+//   const ticks = fromObservable(interval$, 0);
+//   const width = fromEvent(window, 'resize', () => window.innerWidth);
+//   const user = fromPromise(fetchUser());   // { status, value, error }
+//   const count$ = toObservable(count);      // RxJS: from(count$)
+//
+// The from* helpers return read-only signals (get/peek/subscribe plus the
+// reactive id), so they can be listed in the hydration signals[] table. Each
+// also has dispose(), and is disposed with the side-effect scope it was
+// created in.
+// ---------------------------------------------------------------------------
+import {
+    _registerSideEffectDisposer,
+    _reportSideEffectError,
+    _resolveSideEffectScope
+} from './zeneffect.js';
+import { signal } from './signal.js';
+import { zenOn } from './platform.js';
+
+const OBSERVABLE_SYMBOL = typeof Symbol === 'function' && typeof Symbol.observable === 'symbol'
+    ? Symbol.observable
+    : '@@observable';
+
+function createReadonlySignal(source, dispose) {
+    return {
+        __zenith_id: source.__zenith_id,
+        get() {
+            return source.get();
+        },
+        peek() {
+            return source.peek();
+        },
+        subscribe(fn) {
+            return source.subscribe(fn);
+        },
+        dispose
+    };
+}
+
+function toUnsubscribe(subscription) {
+    if (typeof subscription === 'function') {
+        return subscription;
+    }
+    if (subscription && typeof subscription.unsubscribe === 'function') {
+        return () => subscription.unsubscribe();
+    }
+    return () => { };
+}
+
+/**
+ * Mirror an observable (anything with subscribe(observer), or exposing
+ * Symbol.observable) into a read-only signal.
+ *
+ * @param {{ subscribe: Function }} observable
+ * @param {*} [initialValue]
+ * @param {object | null} [scopeOverride]
+ * @returns {{ get: () => *, peek: () => *, subscribe: (fn: (value: *) => void) => () => void, dispose: () => void }}
+ */
+export function fromObservable(observable, initialValue, scopeOverride = null) {
+    const source = observable && typeof observable[OBSERVABLE_SYMBOL] === 'function'
+        ? observable[OBSERVABLE_SYMBOL]()
+        : observable;
+    if (!source || typeof source.subscribe !== 'function') {
+        throw new Error('[Zenith Runtime] fromObservable(observable) requires an object with subscribe(observer)');
+    }
+
+    const scope = _resolveSideEffectScope(scopeOverride);
+    const value = signal(initialValue);
+    let active = true;
+    let unsubscribe = null;
+
+    const dispose = _registerSideEffectDisposer(() => {
+        active = false;
+        if (unsubscribe) {
+            unsubscribe();
+            unsubscribe = null;
+        }
+    }, scope);
+
+    const subscription = source.subscribe({
+        next(next) {
+            if (active) {
+                value.set(next);
+            }
+        },
+        error(error) {
+            if (active) {
+                _reportSideEffectError(error, 'effect', scope);
+            }
+        },
+        complete() { }
+    });
+    unsubscribe = toUnsubscribe(subscription);
+    if (!active) {
+        // the scope was already disposed when this source was created
+        unsubscribe();
+        unsubscribe = null;
+    }
+
+    return createReadonlySignal(value, dispose);
+}
+
+/**
+ * Expose a signal-like source as a minimal observable. Subscribers receive
+ * the current value immediately, then every change.
+ *
+ * @param {{ peek?: () => *, get: () => *, subscribe: (fn: (value: *) => void) => () => void }} source
+ * @returns {{ subscribe: (observerOrNext: *) => { unsubscribe: () => void, closed: boolean } }}
+ */
+export function toObservable(source) {
+    if (!source || typeof source.get !== 'function' || typeof source.subscribe !== 'function') {
+        throw new Error('[Zenith Runtime] toObservable(source) requires a signal source');
+    }
+
+    const observable = {
+        subscribe(observerOrNext) {
+            const observer = typeof observerOrNext === 'function'
+                ? { next: observerOrNext }
+                : (observerOrNext || {});
+            const next = typeof observer.next === 'function' ? (value) => observer.next(value) : () => { };
+
+            const unsubscribe = source.subscribe(next);
+            const subscription = {
+                closed: false,
+                unsubscribe() {
+                    if (subscription.closed) {
+                        return;
+                    }
+                    subscription.closed = true;
+                    unsubscribe();
+                }
+            };
+            next(typeof source.peek === 'function' ? source.peek() : source.get());
+            return subscription;
+        },
+        [OBSERVABLE_SYMBOL]() {
+            return observable;
+        }
+    };
+
+    return observable;
+}
+
+/**
+ * Track the latest (mapped) event from `target` as a read-only signal.
+ * SSR-safe: without a target the signal keeps `undefined`.
+ *
+ * @param {EventTarget | null} target
+ * @param {string} eventName
+ * @param {(event: Event) => *} [map]
+ * @param {object | null} [scopeOverride]
+ * @returns {{ get: () => *, peek: () => *, subscribe: (fn: (value: *) => void) => () => void, dispose: () => void }}
+ */
+export function fromEvent(target, eventName, map = null, scopeOverride = null) {
+    if (typeof eventName !== 'string' || eventName.length === 0) {
+        throw new Error('[Zenith Runtime] fromEvent(target, eventName) requires an event name');
+    }
+    if (map !== null && map !== undefined && typeof map !== 'function') {
+        throw new Error('[Zenith Runtime] fromEvent(target, eventName, map) requires map to be a function');
+    }
+
+    const value = signal(undefined);
+    const off = zenOn(target, eventName, (event) => {
+        value.set(map ? map(event) : event);
+    });
+
+    return createReadonlySignal(value, _registerSideEffectDisposer(off, scopeOverride));
+}
+
+/**
+ * Track a promise as a read-only signal of { status, value, error }.
+ *
+ * @param {PromiseLike<*>} promise
+ * @param {object | null} [scopeOverride]
+ * @returns {{ get: () => { status: 'pending' | 'fulfilled' | 'rejected', value: *, error: * }, peek: () => *, subscribe: Function, dispose: () => void }}
+ */
+export function fromPromise(promise, scopeOverride = null) {
+    if (!promise || typeof promise.then !== 'function') {
+        throw new Error('[Zenith Runtime] fromPromise(promise) requires a promise');
+    }
+
+    const value = signal(Object.freeze({ status: 'pending', value: undefined, error: undefined }));
+    let active = true;
+
+    promise.then(
+        (result) => {
+            if (active) {
+                value.set(Object.freeze({ status: 'fulfilled', value: result, error: undefined }));
+            }
+        },
+        (error) => {
+            if (active) {
+                value.set(Object.freeze({ status: 'rejected', value: undefined, error }));
+            }
+        }
+    );
+
+    return createReadonlySignal(value, _registerSideEffectDisposer(() => {
+        active = false;
+    }, scopeOverride));
+}
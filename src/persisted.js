@@ -0,0 +1,187 @@
+// ---------------------------------------------------------------------------
+// persisted.js — Zenith Runtime Web Storage persistence
+// ---------------------------------------------------------------------------
+// Mirror a signal() or state() into localStorage/sessionStorage.
+//
+// API:
+//   const theme = signal('light');
+//   const dispose = persisted(theme, { key: 'theme' });
+//   persisted(prefs, { key: 'prefs', storage: 'session', version: 2, migrate });
+//
+// Behavior:
+//   - The stored value is applied through source.set() (state() merges it)
+//   - Changes are written back, coalesced over options.throttleMs
+//   - No-op under SSR (zenWindow() === null)
+//   - Storage and JSON failures are reported through runtime diagnostics,
+//     never thrown
+// ---------------------------------------------------------------------------
+
+import { zenWindow } from './env.js';
+import { reportZenithRuntimeError } from './diagnostics.js';
+
+const DEFAULT_PERSIST_THROTTLE_MS = 100;
+
+function normalizePersistOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('[Zenith Runtime] persisted(source, options) requires an options object');
+    }
+    if (typeof options.key !== 'string' || options.key.length === 0) {
+        throw new Error('[Zenith Runtime] persisted options.key must be a non-empty string');
+    }
+
+    const storage = options.storage === undefined ? 'local' : options.storage;
+    if (storage !== 'local' && storage !== 'session') {
+        throw new Error('[Zenith Runtime] persisted options.storage must be "local" or "session"');
+    }
+
+    const version = options.version === undefined ? 0 : options.version;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error('[Zenith Runtime] persisted options.version must be a non-negative integer');
+    }
+
+    if (options.migrate !== undefined && typeof options.migrate !== 'function') {
+        throw new Error('[Zenith Runtime] persisted options.migrate must be a function');
+    }
+
+    const throttleMs = options.throttleMs === undefined ? DEFAULT_PERSIST_THROTTLE_MS : options.throttleMs;
+    if (!Number.isFinite(throttleMs) || throttleMs < 0) {
+        throw new Error('[Zenith Runtime] persisted options.throttleMs must be a non-negative number');
+    }
+
+    return {
+        key: options.key,
+        storage,
+        version,
+        migrate: options.migrate || null,
+        throttleMs: Math.floor(throttleMs)
+    };
+}
+
+function resolveWebStorage(win, storage) {
+    try {
+        return storage === 'session' ? win.sessionStorage : win.localStorage;
+    } catch {
+        // storage access throws when blocked by privacy settings
+        return null;
+    }
+}
+
+function reportStorageFailure(code, key, message, cause) {
+    reportZenithRuntimeError({
+        phase: 'storage',
+        code,
+        message,
+        path: `persisted:${key}`,
+        hint: code === 'STORAGE_WRITE_FAILED'
+            ? 'Storage may be full or unavailable; the in-memory value is unaffected.'
+            : 'The stored value was ignored; bump options.version or provide options.migrate.'
+    }, cause);
+}
+
+function readPersistedValue(webStorage, config) {
+    const raw = webStorage.getItem(config.key);
+    if (raw === null) {
+        return { found: false };
+    }
+
+    const envelope = JSON.parse(raw);
+    if (!envelope || typeof envelope !== 'object' || !Object.prototype.hasOwnProperty.call(envelope, 'value')) {
+        throw new Error(`stored value for "${config.key}" is not a persisted envelope`);
+    }
+
+    if (envelope.version === config.version) {
+        return { found: true, value: envelope.value };
+    }
+    if (!config.migrate) {
+        return { found: false };
+    }
+    return { found: true, value: config.migrate(envelope.value, envelope.version) };
+}
+
+/**
+ * Persist a signal() or state() to Web Storage. Returns disposer.
+ *
+ * @param {{ get: () => *, set: (next: *) => *, subscribe: (fn: (value: *) => void) => () => void }} source
+ * @param {{ key: string, storage?: 'local' | 'session', version?: number, migrate?: (value: *, fromVersion: number) => *, throttleMs?: number }} options
+ * @returns {() => void}
+ */
+export function persisted(source, options) {
+    if (!source || typeof source.set !== 'function' || typeof source.subscribe !== 'function') {
+        throw new Error('[Zenith Runtime] persisted(source) requires a signal() or state()');
+    }
+
+    const config = normalizePersistOptions(options);
+    const win = zenWindow();
+    if (!win) {
+        return () => { };
+    }
+
+    const webStorage = resolveWebStorage(win, config.storage);
+    if (!webStorage) {
+        return () => { };
+    }
+
+    try {
+        const stored = readPersistedValue(webStorage, config);
+        if (stored.found) {
+            source.set(stored.value);
+        }
+    } catch (error) {
+        reportStorageFailure(
+            'STORAGE_READ_FAILED',
+            config.key,
+            `Failed to restore persisted value "${config.key}"`,
+            error
+        );
+    }
+
+    let timeoutId = null;
+    let pending = false;
+    let latest;
+
+    function write() {
+        timeoutId = null;
+        if (!pending) {
+            return;
+        }
+        pending = false;
+        try {
+            webStorage.setItem(config.key, JSON.stringify({ version: config.version, value: latest }));
+        } catch (error) {
+            reportStorageFailure(
+                'STORAGE_WRITE_FAILED',
+                config.key,
+                `Failed to persist value "${config.key}"`,
+                error
+            );
+        }
+    }
+
+    const unsubscribe = source.subscribe((value) => {
+        latest = value;
+        pending = true;
+        if (config.throttleMs === 0) {
+            write();
+            return;
+        }
+        if (timeoutId === null) {
+            timeoutId = setTimeout(write, config.throttleMs);
+        }
+    });
+
+    let disposed = false;
+    return function dispose() {
+        if (disposed) {
+            return;
+        }
+        disposed = true;
+        if (typeof unsubscribe === 'function') {
+            unsubscribe();
+        }
+        if (timeoutId !== null) {
+            clearTimeout(timeoutId);
+        }
+        // keep the last change instead of dropping it with the timer
+        write();
+    };
+}
@@ -7,6 +7,8 @@
 // Contract:
 //   - ref() returns { current: null }
 //   - ref(initialValue) returns { current: initialValue }
+//   - Refs carry a non-enumerable __zenith_ref marker. Compiler-emitted
+//     `{ current: null }` literals count as refs too; see _isRefObject()
 //   - .current is assigned by runtime at mount, before zenMount callbacks run
 //   - .current is set to null on component disposal
 //   - Reading .current does NOT register a dependency in zenEffect
@@ -19,5 +21,37 @@
  * @returns {{ current: T | null }}
  */
 export function ref(initialValue) {
-    return { current: initialValue ?? null };
+    const target = { current: initialValue ?? null };
+    Object.defineProperty(target, '__zenith_ref', { value: true });
+    return target;
+}
+
+/**
+ * Shared ref check for hydration, state() and serializeState(): the
+ * __zenith_ref marker, or a plain object whose only key is `current`.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function _isRefObject(value) {
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    if (value.__zenith_ref === true) {
+        return true;
+    }
+    if (!Object.prototype.hasOwnProperty.call(value, 'current')) {
+        return false;
+    }
+    if (typeof value.get === 'function' && typeof value.subscribe === 'function') {
+        return false;
+    }
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === 'current') {
+        return true;
+    }
+    if (keys.length === 2 && keys.includes('current') && keys.includes('__zenith_ref')) {
+        return true;
+    }
+    return false;
 }
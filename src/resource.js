@@ -0,0 +1,125 @@
+// ---------------------------------------------------------------------------
+// resource.js — Zenith Runtime V0
+// ---------------------------------------------------------------------------
+// Async data primitive driven by a source signal.
+//
+// API:
+//   const userId = signal(1);
+//   const user = resource(userId, (id, { signal }) =>
+//       fetch(`/api/users/${id}`, { signal }).then((res) => res.json()));
+//   user.data.get();
+//   user.loading.get();
+//   user.error.get();
+//   user.refetch();
+//   user.mutate((prev) => ({ ...prev, name: 'Ada' }));
+//   user.dispose();
+//
+// Semantics:
+//   - The fetcher re-runs whenever the source changes (and on refetch())
+//   - The previous request is aborted through the effect cleanup stack, and
+//     its late result is ignored even if the fetcher ignores the abort signal
+//   - data keeps its last value while a new request is loading
+// ---------------------------------------------------------------------------
+import { batch, untrack, zenEffect } from './zeneffect.js';
+import { signal } from './signal.js';
+import { computed } from './computed.js';
+
+/**
+ * Create an async resource keyed by a source signal.
+ *
+ * @param {{ get: () => *, subscribe: (fn: (value: *) => void) => () => void }} source
+ * @param {(value: *, context: { signal: AbortSignal | undefined, refetching: boolean }) => *} fetcher
+ * @param {object | null} [scopeOverride]
+ * @returns {{
+ *   data: { get: () => *, peek: () => *, subscribe: (fn: (value: *) => void) => () => void },
+ *   loading: { get: () => boolean, peek: () => boolean, subscribe: (fn: (value: boolean) => void) => () => void },
+ *   error: { get: () => *, peek: () => *, subscribe: (fn: (value: *) => void) => () => void },
+ *   refetch: () => void,
+ *   mutate: (next: *) => *,
+ *   dispose: () => void
+ * }}
+ */
+export function resource(source, fetcher, scopeOverride = null) {
+    if (!source || typeof source.get !== 'function' || typeof source.subscribe !== 'function') {
+        throw new Error('[Zenith Runtime] resource(source, fetcher) requires a signal source');
+    }
+    if (typeof fetcher !== 'function') {
+        throw new Error('[Zenith Runtime] resource(source, fetcher) requires a fetcher function');
+    }
+
+    const data = signal(undefined);
+    const loading = signal(false);
+    const error = signal(null);
+    const refetchCount = signal(0);
+    let lastRefetchCount = 0;
+
+    function load(sourceValue, registerCleanup) {
+        const refetching = refetchCount.peek() !== lastRefetchCount;
+        lastRefetchCount = refetchCount.peek();
+
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        let stale = false;
+        registerCleanup(() => {
+            stale = true;
+            if (controller) {
+                controller.abort();
+            }
+        });
+
+        batch(() => {
+            loading.set(true);
+            error.set(null);
+        });
+
+        let pending;
+        try {
+            pending = Promise.resolve(fetcher(sourceValue, {
+                signal: controller ? controller.signal : undefined,
+                refetching
+            }));
+        } catch (fetchError) {
+            pending = Promise.reject(fetchError);
+        }
+
+        pending.then(
+            (value) => {
+                if (stale) {
+                    return;
+                }
+                batch(() => {
+                    data.set(value);
+                    loading.set(false);
+                });
+            },
+            (fetchError) => {
+                if (stale) {
+                    return;
+                }
+                batch(() => {
+                    error.set(fetchError);
+                    loading.set(false);
+                });
+            }
+        );
+    }
+
+    const dispose = zenEffect(({ cleanup }) => {
+        const sourceValue = source.get();
+        refetchCount.get();
+        untrack(() => load(sourceValue, cleanup));
+    }, { flush: 'sync' }, scopeOverride);
+
+    return {
+        data: computed(() => data.get()),
+        loading: computed(() => loading.get()),
+        error: computed(() => error.get()),
+        refetch() {
+            refetchCount.set(refetchCount.peek() + 1);
+        },
+        mutate(next) {
+            const value = typeof next === 'function' ? next(data.peek()) : next;
+            return data.set(value);
+        },
+        dispose
+    };
+}
@@ -0,0 +1,233 @@
+// ---------------------------------------------------------------------------
+// serialize.js — Zenith Runtime state resume
+// ---------------------------------------------------------------------------
+// Carry signal()/state() values from the server render to hydrate().
+//
+// API:
+//   // server
+//   const blob = serializeState(stateValues, stateKeys);
+//   html += `<script type="application/json" id="__zenith_state">${blob}</script>`;
+//
+//   // client (bundler output)
+//   hydrate({ ...payload, resume: document.getElementById('__zenith_state').textContent });
+//
+// Format: { "zenith_state": 1, "entries": [entry per state_values index] }
+//   { "kind": "signal", "value": * }       writable source, restored via set()
+//   { "kind": "signal", "entries": [...] } source holding a Map (signalMap)
+//   { "kind": "skip", "reason": * }        ref | function | readonly | static
+//
+// Refs, functions, read-only sources (computed, from* helpers) and plain
+// bundler constants are skipped on purpose: the client re-creates them.
+// Anything else that JSON cannot round-trip (class instances, Date, Set,
+// symbols, bigint, NaN/Infinity, cycles) fails with STATE_NOT_SERIALIZABLE
+// and the offending path. Object properties holding undefined are dropped,
+// as in JSON.stringify().
+// ---------------------------------------------------------------------------
+
+import { throwZenithRuntimeError } from './diagnostics.js';
+import { _isRefObject } from './ref.js';
+
+const STATE_FORMAT_VERSION = 1;
+
+function isStateSource(value) {
+    return !!value
+        && typeof value === 'object'
+        && typeof value.get === 'function'
+        && typeof value.subscribe === 'function';
+}
+
+// state() stores merge plain-object writes; only they get the updater form,
+// since a plain signal would store the function itself.
+function isStateStore(value) {
+    return typeof value.setIn === 'function' && typeof value.update === 'function';
+}
+
+function isPlainStateObject(value) {
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function describeStateSlot(index, stateKeys) {
+    const key = Array.isArray(stateKeys) && typeof stateKeys[index] === 'string' ? stateKeys[index] : null;
+    return key ? `state_values[${index}] (${key})` : `state_values[${index}]`;
+}
+
+function failSerialize(slot, path, message) {
+    throwZenithRuntimeError({
+        phase: 'hydrate',
+        code: 'STATE_NOT_SERIALIZABLE',
+        message: `${slot} ${message}`,
+        path,
+        hint: 'Keep signal state JSON-compatible, or move the value into a ref or a computed.'
+    });
+}
+
+function toSerializableValue(value, path, slot, seen) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            failSerialize(slot, path, `holds ${String(value)}`);
+        }
+        return value;
+    }
+    if (value === undefined) {
+        failSerialize(slot, path, 'holds undefined inside an array');
+    }
+    if (typeof value !== 'object') {
+        failSerialize(slot, path, `holds a ${typeof value}`);
+    }
+    if (seen.has(value)) {
+        failSerialize(slot, path, 'holds a circular reference');
+    }
+
+    seen.add(value);
+    let result;
+    if (Array.isArray(value)) {
+        result = [];
+        for (let i = 0; i < value.length; i++) {
+            result.push(toSerializableValue(value[i], `${path}[${i}]`, slot, seen));
+        }
+    } else if (isPlainStateObject(value)) {
+        result = {};
+        const keys = Object.keys(value);
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+            if (value[key] === undefined) {
+                continue;
+            }
+            result[key] = toSerializableValue(value[key], `${path}.${key}`, slot, seen);
+        }
+    } else {
+        const name = value.constructor && typeof value.constructor.name === 'string'
+            ? value.constructor.name
+            : 'object';
+        failSerialize(slot, path, `holds a ${name} instance`);
+    }
+    seen.delete(value);
+    return result;
+}
+
+function serializeStateEntry(candidate, index, stateKeys) {
+    const slot = describeStateSlot(index, stateKeys);
+    const path = `state_values[${index}]`;
+
+    if (typeof candidate === 'function') {
+        return { kind: 'skip', reason: 'function' };
+    }
+    if (_isRefObject(candidate)) {
+        return { kind: 'skip', reason: 'ref' };
+    }
+    if (!isStateSource(candidate)) {
+        return { kind: 'skip', reason: 'static' };
+    }
+    if (typeof candidate.set !== 'function') {
+        return { kind: 'skip', reason: 'readonly' };
+    }
+
+    const value = typeof candidate.peek === 'function' ? candidate.peek() : candidate.get();
+    if (value === undefined) {
+        return { kind: 'signal' };
+    }
+    if (value instanceof Map) {
+        const entries = [];
+        for (const [key, entryValue] of value) {
+            entries.push([
+                toSerializableValue(key, `${path}.key`, slot, new Set()),
+                toSerializableValue(entryValue, `${path}.get(${String(key)})`, slot, new Set())
+            ]);
+        }
+        return { kind: 'signal', entries };
+    }
+    return { kind: 'signal', value: toSerializableValue(value, path, slot, new Set()) };
+}
+
+/**
+ * Serialize the current values of the signal()/state() sources in a
+ * hydration state_values table. The result is JSON, escaped so it can be
+ * embedded in a <script type="application/json"> element.
+ *
+ * @param {Array<*>} stateValues
+ * @param {Array<string>} [stateKeys] names used in diagnostics
+ * @returns {string}
+ */
+export function serializeState(stateValues, stateKeys = []) {
+    if (!Array.isArray(stateValues)) {
+        throw new Error('[Zenith Runtime] serializeState(stateValues) requires an array');
+    }
+
+    const entries = [];
+    for (let i = 0; i < stateValues.length; i++) {
+        entries.push(serializeStateEntry(stateValues[i], i, stateKeys));
+    }
+
+    return JSON.stringify({ zenith_state: STATE_FORMAT_VERSION, entries })
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+function failResume(message, path, cause) {
+    throwZenithRuntimeError({
+        phase: 'hydrate',
+        code: 'STATE_RESUME_FAILED',
+        message,
+        path,
+        hint: 'Serialize state with the same build that produced this hydration payload.'
+    }, cause);
+}
+
+function parseResumeBlob(resume) {
+    if (typeof resume !== 'string') {
+        return resume;
+    }
+    try {
+        return JSON.parse(resume);
+    } catch (error) {
+        failResume('Serialized state is not valid JSON', 'resume', error);
+    }
+    return null;
+}
+
+/**
+ * Restore serialized values into the writable sources of state_values.
+ * Runs before any binding is rendered.
+ *
+ * @param {string | object} resume
+ * @param {Array<*>} stateValues
+ * @param {Array<string>} stateKeys
+ */
+export function _resumeStateValues(resume, stateValues, stateKeys) {
+    const blob = parseResumeBlob(resume);
+    if (!blob || typeof blob !== 'object' || blob.zenith_state !== STATE_FORMAT_VERSION || !Array.isArray(blob.entries)) {
+        failResume(`Serialized state must be format version ${STATE_FORMAT_VERSION}`, 'resume');
+    }
+    if (blob.entries.length !== stateValues.length) {
+        failResume(
+            `Serialized state has ${blob.entries.length} entries, state_values has ${stateValues.length}`,
+            'resume.entries'
+        );
+    }
+
+    for (let i = 0; i < blob.entries.length; i++) {
+        const entry = blob.entries[i];
+        if (!entry || entry.kind === 'skip') {
+            continue;
+        }
+        const slot = describeStateSlot(i, stateKeys);
+        const target = stateValues[i];
+        if (entry.kind !== 'signal') {
+            failResume(`${slot} has unknown serialized kind "${String(entry.kind)}"`, `resume.entries[${i}]`);
+        }
+        if (!isStateSource(target) || typeof target.set !== 'function') {
+            failResume(`${slot} is not a writable signal on the client`, `state_values[${i}]`);
+        }
+        const value = Array.isArray(entry.entries) ? new Map(entry.entries) : entry.value;
+        if (isStateStore(target)) {
+            target.set(() => value);
+        } else {
+            target.set(value);
+        }
+    }
+}
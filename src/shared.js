@@ -0,0 +1,171 @@
+// ---------------------------------------------------------------------------
+// shared.js — Zenith Runtime cross-tab synchronization
+// ---------------------------------------------------------------------------
+// Keep a signal() or state() in sync across tabs of the same origin.
+//
+// API:
+//   const cart = state({ items: [] });
+//   const dispose = shared(cart, 'cart');
+//
+// Transport:
+//   - BroadcastChannel(channelName) when available
+//   - otherwise localStorage writes observed through the `storage` event
+//
+// Remote values are applied with source.set() and are never re-broadcast.
+// The subscription is registered with the side-effect scope (global unless a
+// component scope is passed), so component teardown disposes it.
+// ---------------------------------------------------------------------------
+
+import { zenWindow } from './env.js';
+import { zenOn } from './platform.js';
+import { reportZenithRuntimeError } from './diagnostics.js';
+import { _registerSideEffectDisposer } from './zeneffect.js';
+
+const SHARED_STORAGE_PREFIX = '__zenith_shared__:';
+
+function reportSharedFailure(channelName, message, cause) {
+    reportZenithRuntimeError({
+        phase: 'storage',
+        code: 'SHARED_SYNC_FAILED',
+        message,
+        path: `shared:${channelName}`,
+        hint: 'Shared values must be structured-clone and JSON serializable.'
+    }, cause);
+}
+
+function createBroadcastTransport(win, channelName, onRemoteValue) {
+    const channel = new win.BroadcastChannel(channelName);
+    channel.onmessage = (event) => {
+        const message = event && event.data;
+        if (message && typeof message === 'object' && message.__zenith_shared === true) {
+            onRemoteValue(message.value);
+        }
+    };
+
+    return {
+        send(value) {
+            channel.postMessage({ __zenith_shared: true, value });
+        },
+        close() {
+            channel.onmessage = null;
+            channel.close();
+        }
+    };
+}
+
+function createStorageTransport(win, channelName, onRemoteValue) {
+    let webStorage = null;
+    try {
+        webStorage = win.localStorage;
+    } catch {
+        // storage access throws when blocked by privacy settings
+    }
+    if (!webStorage) {
+        return null;
+    }
+
+    const storageKey = `${SHARED_STORAGE_PREFIX}${channelName}`;
+    // `storage` only fires when the stored string changes, so each write
+    // carries a sequence number to make repeated values observable.
+    let sequence = 0;
+
+    const removeListener = zenOn(win, 'storage', (event) => {
+        if (!event || event.key !== storageKey || typeof event.newValue !== 'string') {
+            return;
+        }
+        let message;
+        try {
+            message = JSON.parse(event.newValue);
+        } catch (error) {
+            reportSharedFailure(channelName, `Failed to read shared value "${channelName}"`, error);
+            return;
+        }
+        if (message && typeof message === 'object' && Object.prototype.hasOwnProperty.call(message, 'value')) {
+            onRemoteValue(message.value);
+        }
+    });
+
+    return {
+        send(value) {
+            sequence += 1;
+            webStorage.setItem(storageKey, JSON.stringify({ sequence, value }));
+        },
+        close() {
+            removeListener();
+        }
+    };
+}
+
+/**
+ * Synchronize a signal() or state() across tabs. Returns disposer.
+ *
+ * @param {{ set: (next: *) => *, subscribe: (fn: (value: *) => void) => () => void }} source
+ * @param {string} channelName
+ * @param {object | null} [scopeOverride]
+ * @returns {() => void}
+ */
+export function shared(source, channelName, scopeOverride = null) {
+    if (!source || typeof source.set !== 'function' || typeof source.subscribe !== 'function') {
+        throw new Error('[Zenith Runtime] shared(source, channelName) requires a signal() or state()');
+    }
+    if (typeof channelName !== 'string' || channelName.length === 0) {
+        throw new Error('[Zenith Runtime] shared(source, channelName) requires a non-empty channel name');
+    }
+
+    const win = zenWindow();
+    if (!win) {
+        return () => { };
+    }
+
+    // Outside a flush the source notifies synchronously inside set(); during
+    // a flush the notification lands in the next pass, after set() returned.
+    // Both paths must recognize the remote write so it is not echoed back.
+    const NO_REMOTE_VALUE = {};
+    let applyingRemote = false;
+    let remoteNotified = false;
+    let remoteValue = NO_REMOTE_VALUE;
+
+    function applyRemoteValue(value) {
+        applyingRemote = true;
+        remoteNotified = false;
+        try {
+            source.set(value);
+        } finally {
+            applyingRemote = false;
+        }
+        if (!remoteNotified) {
+            remoteValue = typeof source.peek === 'function' ? source.peek() : value;
+        }
+    }
+
+    const transport = typeof win.BroadcastChannel === 'function'
+        ? createBroadcastTransport(win, channelName, applyRemoteValue)
+        : createStorageTransport(win, channelName, applyRemoteValue);
+    if (!transport) {
+        return () => { };
+    }
+
+    const unsubscribe = source.subscribe((value) => {
+        if (applyingRemote) {
+            remoteNotified = true;
+            return;
+        }
+        const isRemoteEcho = remoteValue !== NO_REMOTE_VALUE && Object.is(value, remoteValue);
+        remoteValue = NO_REMOTE_VALUE;
+        if (isRemoteEcho) {
+            return;
+        }
+        try {
+            transport.send(value);
+        } catch (error) {
+            reportSharedFailure(channelName, `Failed to broadcast shared value "${channelName}"`, error);
+        }
+    });
+
+    return _registerSideEffectDisposer(() => {
+        if (typeof unsubscribe === 'function') {
+            unsubscribe();
+        }
+        transport.close();
+    }, scopeOverride);
+}
@@ -5,7 +5,9 @@
 //
 // API:
 //   const count = signal(0);
+//   const point = signal({ x: 0 }, { equals: (a, b) => a.x === b.x });
 //   count.get();
+//   count.peek();   // read without registering a dependency
 //   count.set(1);
 //   const unsubscribe = count.subscribe((value) => { ... });
 //
@@ -15,15 +17,22 @@
 //   - No scheduler
 //   - No async queue
 // ---------------------------------------------------------------------------
-import { _nextReactiveId, _trackDependency } from './zeneffect.js';
+import {
+    _nextReactiveId,
+    _notifySubscribers,
+    _resolveEqualsOption,
+    _trackDependency
+} from './zeneffect.js';
 
 /**
  * Create a deterministic signal with explicit subscription semantics.
  *
  * @param {*} initialValue
- * @returns {{ get: () => *, set: (next: *) => *, subscribe: (fn: (value: *) => void) => () => void }}
+ * @param {{ equals?: ((prev: *, next: *) => boolean) | false }} [options]
+ * @returns {{ get: () => *, peek: () => *, set: (next: *) => *, subscribe: (fn: (value: *) => void) => () => void }}
  */
-export function signal(initialValue) {
+export function signal(initialValue, options) {
+    const equals = _resolveEqualsOption(options, Object.is, 'signal(initial, options)');
     let value = initialValue;
     const subscribers = new Set();
     const reactiveId = _nextReactiveId();
@@ -34,17 +43,17 @@ export function signal(initialValue) {
             _trackDependency(this);
             return value;
         },
+        peek() {
+            return value;
+        },
         set(nextValue) {
-            if (Object.is(value, nextValue)) {
+            if (equals(value, nextValue)) {
                 return value;
             }
 
             value = nextValue;
 
-            const snapshot = [...subscribers];
-            for (let i = 0; i < snapshot.length; i++) {
-                snapshot[i](value);
-            }
+            _notifySubscribers(reactiveId, subscribers, value);
 
             return value;
         },
@@ -6,10 +6,30 @@
 // API:
 //   const store = state({ count: 0 });
 //   store.get();
+//   store.peek();   // read without registering a dependency
 //   store.set({ count: 1 });
 //   store.set((prev) => ({ ...prev, count: prev.count + 1 }));
+//   const count = store.select((snapshot) => snapshot.count);
+//   store.setIn(['settings', 'theme', 'mode'], 'dark');
+//   store.update(['settings', 'fontSize'], (size) => size + 1);
+//
+// Snapshots are deep-frozen (plain objects and arrays only). Containers passed
+// in are copied before freezing, so the caller's objects stay writable; frozen
+// branches of the previous snapshot are reused, so path writes copy only the
+// containers along the path and untouched branches keep their identity.
+//
+// Writes that are shallow-equal to the current snapshot are dropped before
+// any subscriber runs. Pass { equals } to override, or { equals: false } to
+// notify on every write.
 // ---------------------------------------------------------------------------
-import { _nextReactiveId, _trackDependency } from './zeneffect.js';
+import {
+    _nextReactiveId,
+    _notifySubscribers,
+    _resolveEqualsOption,
+    _trackDependency
+} from './zeneffect.js';
+import { computed } from './computed.js';
+import { _isRefObject } from './ref.js';
 
 function isPlainObject(value) {
     if (!value || typeof value !== 'object' || Array.isArray(value)) {
@@ -18,6 +38,107 @@ function isPlainObject(value) {
     return Object.prototype.toString.call(value) === '[object Object]';
 }
 
+export const UNSAFE_MEMBER_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+function isFreezableSnapshotNode(value) {
+    if (Array.isArray(value)) {
+        return true;
+    }
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) {
+        return false;
+    }
+    // refs stay writable and reactive sources keep their own identity
+    if (_isRefObject(value)) {
+        return false;
+    }
+    return typeof value.get !== 'function' || typeof value.subscribe !== 'function';
+}
+
+// Nodes this module froze are shared as-is. Anything else, including nodes
+// the caller froze (their children may still be mutable), is copied first so
+// freezing never reaches objects the caller still holds.
+const RUNTIME_FROZEN_NODES = new WeakSet();
+
+function freezeSnapshot(value, copies = new Map()) {
+    if (!isFreezableSnapshotNode(value) || RUNTIME_FROZEN_NODES.has(value)) {
+        return value;
+    }
+    if (copies.has(value)) {
+        return copies.get(value);
+    }
+    const copy = Array.isArray(value) ? [...value] : Object.assign(Object.create(Object.getPrototypeOf(value)), value);
+    copies.set(value, copy);
+    const keys = Object.keys(copy);
+    for (let i = 0; i < keys.length; i++) {
+        copy[keys[i]] = freezeSnapshot(copy[keys[i]], copies);
+    }
+    RUNTIME_FROZEN_NODES.add(copy);
+    return Object.freeze(copy);
+}
+
+function normalizeStatePath(path, label) {
+    if (!Array.isArray(path) || path.length === 0) {
+        throw new Error(`[Zenith Runtime] ${label} requires a non-empty path array`);
+    }
+    for (let i = 0; i < path.length; i++) {
+        const segment = path[i];
+        const validSegment =
+            (typeof segment === 'string' && segment.length > 0) ||
+            (Number.isInteger(segment) && segment >= 0);
+        if (!validSegment) {
+            throw new Error(`[Zenith Runtime] ${label} path[${i}] must be a non-empty string or array index`);
+        }
+        if (UNSAFE_MEMBER_KEYS.has(segment)) {
+            throw new Error(`[Zenith Runtime] ${label} blocked unsafe path segment "${segment}"`);
+        }
+    }
+    return path;
+}
+
+function readOwnMember(container, key) {
+    if (!container || typeof container !== 'object') {
+        return undefined;
+    }
+    return Object.prototype.hasOwnProperty.call(container, key) ? container[key] : undefined;
+}
+
+function readAtPath(root, path) {
+    let cursor = root;
+    for (let i = 0; i < path.length; i++) {
+        cursor = readOwnMember(cursor, path[i]);
+    }
+    return cursor;
+}
+
+function writeAtPath(container, path, index, value, label) {
+    const key = path[index];
+    const previous = readOwnMember(container, key);
+    const next = index === path.length - 1
+        ? value
+        : writeAtPath(previous, path, index + 1, value, label);
+
+    if (container !== undefined && container !== null && Object.is(previous, next)) {
+        return container;
+    }
+
+    let copy;
+    if (container === undefined || container === null) {
+        copy = typeof key === 'number' ? [] : {};
+    } else if (Array.isArray(container) || isPlainObject(container)) {
+        copy = cloneSnapshot(container);
+    } else {
+        throw new Error(
+            `[Zenith Runtime] ${label} cannot write "${key}" through a non-plain value at path[${index}]`
+        );
+    }
+    copy[key] = next;
+    return copy;
+}
+
 function cloneSnapshot(value) {
     if (Array.isArray(value)) {
         return [...value];
@@ -28,23 +149,72 @@ function cloneSnapshot(value) {
     return value;
 }
 
+/**
+ * Shallow equality for plain objects and arrays: same keys, Object.is values.
+ *
+ * @param {*} left
+ * @param {*} right
+ * @returns {boolean}
+ */
+export function shallowEqual(left, right) {
+    if (Object.is(left, right)) {
+        return true;
+    }
+    if (!left || !right || typeof left !== 'object' || typeof right !== 'object') {
+        return false;
+    }
+    if (Array.isArray(left) !== Array.isArray(right)) {
+        return false;
+    }
+
+    const leftKeys = Object.keys(left);
+    const rightKeys = Object.keys(right);
+    if (leftKeys.length !== rightKeys.length) {
+        return false;
+    }
+    for (let i = 0; i < leftKeys.length; i++) {
+        const key = leftKeys[i];
+        if (!Object.prototype.hasOwnProperty.call(right, key) || !Object.is(left[key], right[key])) {
+            return false;
+        }
+    }
+    return true;
+}
+
 /**
  * Create a proxy-free immutable state container.
  *
  * @param {object} initialValue
- * @returns {{ get: () => object, set: (patch: object | ((prev: object) => object)) => object, subscribe: (fn: (next: object) => void) => () => void }}
+ * @param {{ equals?: ((prev: object, next: object) => boolean) | false }} [options]
+ * @returns {{ get: () => object, peek: () => object, set: (patch: object | ((prev: object) => object)) => object, setIn: (path: Array<string | number>, value: *) => object, update: (path: Array<string | number>, fn: (prev: *) => *) => object, subscribe: (fn: (next: object) => void) => () => void, select: (selector: (snapshot: object) => *, equals?: (prev: *, next: *) => boolean) => { get: () => *, peek: () => *, subscribe: (fn: (value: *) => void) => () => void } }}
  */
-export function state(initialValue) {
-    let current = Object.freeze(cloneSnapshot(initialValue));
+export function state(initialValue, options) {
+    const equals = _resolveEqualsOption(options, shallowEqual, 'state(initial, options)');
+    let current = freezeSnapshot(initialValue);
     const subscribers = new Set();
     const reactiveId = _nextReactiveId();
 
-    return {
+    function commit(nextValue) {
+        if (equals(current, nextValue)) {
+            return current;
+        }
+
+        current = freezeSnapshot(nextValue);
+
+        _notifySubscribers(reactiveId, subscribers, current);
+
+        return current;
+    }
+
+    const store = {
         __zenith_id: reactiveId,
         get() {
             _trackDependency(this);
             return current;
         },
+        peek() {
+            return current;
+        },
         set(nextPatch) {
             const nextValue = typeof nextPatch === 'function'
                 ? nextPatch(current)
@@ -54,19 +224,19 @@ export function state(initialValue) {
                 throw new Error('[Zenith Runtime] state.set(next) must resolve to a plain object');
             }
 
-            const nextSnapshot = Object.freeze(cloneSnapshot(nextValue));
-            if (Object.is(current, nextSnapshot)) {
-                return current;
-            }
-
-            current = nextSnapshot;
-
-            const snapshot = [...subscribers];
-            for (let i = 0; i < snapshot.length; i++) {
-                snapshot[i](current);
+            return commit(nextValue);
+        },
+        setIn(path, value) {
+            const safePath = normalizeStatePath(path, 'state.setIn(path, value)');
+            return commit(writeAtPath(current, safePath, 0, value, 'state.setIn(path, value)'));
+        },
+        update(path, updater) {
+            const safePath = normalizeStatePath(path, 'state.update(path, fn)');
+            if (typeof updater !== 'function') {
+                throw new Error('[Zenith Runtime] state.update(path, fn) requires a function');
             }
-
-            return current;
+            const nextLeaf = updater(readAtPath(current, safePath));
+            return commit(writeAtPath(current, safePath, 0, nextLeaf, 'state.update(path, fn)'));
         },
         subscribe(fn) {
             if (typeof fn !== 'function') {
@@ -77,6 +247,19 @@ export function state(initialValue) {
             return function unsubscribe() {
                 subscribers.delete(fn);
             };
+        },
+        select(selector, equals) {
+            if (typeof selector !== 'function') {
+                throw new Error('[Zenith Runtime] state.select(selector) requires a function');
+            }
+            if (equals !== undefined && typeof equals !== 'function') {
+                throw new Error('[Zenith Runtime] state.select(selector, equals) requires equals to be a function');
+            }
+
+            // Read-only slice: computed() exposes get/peek/subscribe but no set.
+            return computed(() => selector(store.get()), equals ? { equals } : null);
         }
     };
+
+    return store;
 }
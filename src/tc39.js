@@ -0,0 +1,169 @@
+// ---------------------------------------------------------------------------
+// tc39.js — Zenith Runtime V0
+// ---------------------------------------------------------------------------
+// Adapter for the TC39 Signals proposal (Signal.State / Signal.Computed).
+//
+// API:
+//   import { Signal } from 'signal-polyfill';
+//   const shared = new Signal.State(0);
+//   const count = fromTC39Signal(shared, Signal);   // Zenith source
+//   zenEffect(() => console.log(count.get()));
+//   count.set(1);                                   // writes Signal.State
+//
+//   const theme = signal('light');
+//   const themeSignal = toTC39Signal(theme, Signal); // Signal.Computed
+//   new Signal.Computed(() => themeSignal.get().toUpperCase());
+//
+// Semantics:
+//   - The Signal namespace defaults to globalThis.Signal
+//   - Proposal watchers may not read signals inside notify, so changes coming
+//     from the proposal graph reach Zenith subscribers in a microtask
+//   - toTC39Signal() mirrors the Zenith source until its side-effect scope is
+//     disposed
+// ---------------------------------------------------------------------------
+import {
+    _nextReactiveId,
+    _notifySubscribers,
+    _registerSideEffectDisposer,
+    _trackDependency
+} from './zeneffect.js';
+
+function resolveSignalNamespace(namespace, label) {
+    const resolved = namespace || (typeof globalThis !== 'undefined' ? globalThis.Signal : undefined);
+    if (
+        !resolved
+        || typeof resolved.State !== 'function'
+        || typeof resolved.Computed !== 'function'
+        || !resolved.subtle
+        || typeof resolved.subtle.Watcher !== 'function'
+    ) {
+        throw new Error(`[Zenith Runtime] ${label} requires the Signal namespace (pass the polyfill export)`);
+    }
+    return resolved;
+}
+
+/**
+ * Wrap a proposal Signal.State or Signal.Computed as a Zenith source usable
+ * in zenEffect, computed() and the hydration signals[] table.
+ *
+ * @param {{ get: () => * }} proposalSignal
+ * @param {object} [SignalNamespace]
+ * @returns {{ get: () => *, peek: () => *, set: (next: *) => *, subscribe: (fn: (value: *) => void) => () => void }}
+ */
+export function fromTC39Signal(proposalSignal, SignalNamespace) {
+    const ns = resolveSignalNamespace(SignalNamespace, 'fromTC39Signal(signal, Signal)');
+    if (!ns.isState(proposalSignal) && !ns.isComputed(proposalSignal)) {
+        throw new Error('[Zenith Runtime] fromTC39Signal(signal) requires a Signal.State or Signal.Computed');
+    }
+
+    const reactiveId = _nextReactiveId();
+    const subscribers = new Set();
+    let watcher = null;
+    let flushQueued = false;
+    let lastValue;
+
+    function read() {
+        return ns.subtle.untrack(() => proposalSignal.get());
+    }
+
+    function flush() {
+        flushQueued = false;
+        if (!watcher) {
+            return;
+        }
+        const pending = watcher.getPending();
+        for (let i = 0; i < pending.length; i++) {
+            pending[i].get();
+        }
+        // re-arm: a watcher notifies once until watch() is called again
+        watcher.watch();
+
+        const next = read();
+        if (Object.is(next, lastValue)) {
+            return;
+        }
+        lastValue = next;
+        _notifySubscribers(reactiveId, subscribers, next);
+    }
+
+    function connect() {
+        watcher = new ns.subtle.Watcher(() => {
+            if (flushQueued) {
+                return;
+            }
+            flushQueued = true;
+            queueMicrotask(flush);
+        });
+        watcher.watch(proposalSignal);
+        lastValue = read();
+    }
+
+    function disconnect() {
+        if (watcher) {
+            watcher.unwatch(proposalSignal);
+            watcher = null;
+        }
+    }
+
+    const source = {
+        __zenith_id: reactiveId,
+        get() {
+            _trackDependency(source);
+            return read();
+        },
+        peek() {
+            return read();
+        },
+        set(nextValue) {
+            if (!ns.isState(proposalSignal)) {
+                throw new Error('[Zenith Runtime] fromTC39Signal(...).set() requires a Signal.State');
+            }
+            proposalSignal.set(nextValue);
+            return read();
+        },
+        subscribe(fn) {
+            if (typeof fn !== 'function') {
+                throw new Error('[Zenith Runtime] fromTC39Signal(...).subscribe(fn) requires a function');
+            }
+            if (subscribers.size === 0) {
+                connect();
+            }
+            subscribers.add(fn);
+            return function unsubscribe() {
+                if (!subscribers.delete(fn)) {
+                    return;
+                }
+                if (subscribers.size === 0) {
+                    disconnect();
+                }
+            };
+        }
+    };
+
+    return source;
+}
+
+/**
+ * Expose a Zenith signal/state/computed as a read-only proposal
+ * Signal.Computed, for proposal-style computeds and watchers.
+ *
+ * @param {{ peek?: () => *, get: () => *, subscribe: (fn: (value: *) => void) => () => void }} source
+ * @param {object} [SignalNamespace]
+ * @param {object | null} [scopeOverride]
+ * @returns {{ get: () => * }}
+ */
+export function toTC39Signal(source, SignalNamespace, scopeOverride = null) {
+    const ns = resolveSignalNamespace(SignalNamespace, 'toTC39Signal(source, Signal)');
+    if (!source || typeof source.get !== 'function' || typeof source.subscribe !== 'function') {
+        throw new Error('[Zenith Runtime] toTC39Signal(source) requires a signal source');
+    }
+
+    const readSource = () => (typeof source.peek === 'function' ? source.peek() : source.get());
+    const mirror = new ns.State(readSource());
+    const unsubscribe = source.subscribe((value) => {
+        mirror.set(value);
+    });
+    _registerSideEffectDisposer(unsubscribe, scopeOverride);
+
+    return new ns.Computed(() => mirror.get());
+}
@@ -14,8 +14,24 @@ function readRuntimeSourceFile(fileName) {
     return normalizeNewlines(readFileSync(fullPath, 'utf8'));
 }
 
+// Aliased imports (`import { a as b }`) become `const b = a;` so the
+// concatenated module keeps the local name.
 function stripImports(source) {
-    return source.replace(/^\s*import\s+[^;]+;\s*$/gm, '').trim();
+    return source.replace(/^\s*import\s+[^;]+;\s*$/gm, (statement) => {
+        const specifiers = statement.match(/\{([^}]*)\}/);
+        if (!specifiers) {
+            return '';
+        }
+        const aliases = [];
+        const parts = specifiers[1].split(',');
+        for (let i = 0; i < parts.length; i++) {
+            const alias = parts[i].trim().match(/^([A-Za-z_$][\w$]*)\s+as\s+([A-Za-z_$][\w$]*)$/);
+            if (alias) {
+                aliases.push(`const ${alias[2]} = ${alias[1]};`);
+            }
+        }
+        return aliases.join('\n');
+    }).trim();
 }
 
 function buildRuntimeModuleSource() {
@@ -26,7 +42,16 @@ function buildRuntimeModuleSource() {
         stripImports(readRuntimeSourceFile('platform.js')),
         stripImports(readRuntimeSourceFile('signal.js')),
         stripImports(readRuntimeSourceFile('state.js')),
+        stripImports(readRuntimeSourceFile('computed.js')),
+        stripImports(readRuntimeSourceFile('collections.js')),
+        stripImports(readRuntimeSourceFile('history.js')),
+        stripImports(readRuntimeSourceFile('persisted.js')),
+        stripImports(readRuntimeSourceFile('shared.js')),
+        stripImports(readRuntimeSourceFile('resource.js')),
+        stripImports(readRuntimeSourceFile('interop.js')),
+        stripImports(readRuntimeSourceFile('tc39.js')),
         stripImports(readRuntimeSourceFile('diagnostics.js')),
+        stripImports(readRuntimeSourceFile('serialize.js')),
         stripImports(readRuntimeSourceFile('cleanup.js')),
         stripImports(readRuntimeSourceFile('hydrate.js'))
     ].filter(Boolean);
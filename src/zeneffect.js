@@ -5,25 +5,62 @@
 //
 // API:
 //   const dispose = zeneffect([countSignal], () => { ... });
+//   zeneffect([query], (ctx) => { ... }, { debounceMs: 200 });
 //
 // Constraints:
-//   - Dependencies are explicit
-//   - No implicit tracking context
-//   - No scheduler
-//   - No async queue
+//   - Dependencies are explicit; reads inside the effect are not tracked
+//   - Same scope, cleanup and scheduler options as zenEffect, but runs
+//     synchronously (flush: 'sync') unless options pick otherwise
 // ---------------------------------------------------------------------------
+import {
+    createZenithRuntimeError,
+    isZenithRuntimeError,
+    reportZenithRuntimeError,
+    throwZenithRuntimeError
+} from './diagnostics.js';
+
+const DEFAULT_IDLE_TIMEOUT_MS = 1000;
+const IDLE_FALLBACK_DELAY_MS = 1;
+const BACKGROUND_SLICE_MS = 5;
 
 const DEFAULT_EFFECT_OPTIONS = {
     debounceMs: 0,
     throttleMs: 0,
     raf: false,
-    flush: 'post'
+    idle: false,
+    idleTimeoutMs: DEFAULT_IDLE_TIMEOUT_MS,
+    flush: 'post',
+    priority: 'normal'
 };
 
+const EFFECT_PRIORITIES = new Set(['user-blocking', 'normal', 'background']);
+
 let _activeDependencyCollector = null;
 let _reactiveIdCounter = 0;
 let _scopeIdCounter = 0;
 let _effectIdCounter = 0;
+let _batchDepth = 0;
+let _notificationSeq = 0;
+// Causal depth of the update being propagated: a write made while handling a
+// notification at depth N is delivered at depth N + 1. Runaway feedback loops
+// (an effect, marker or subscriber writing what it reads) are cut off at
+// _maxUpdateDepth by the notification flush.
+let _updateDepth = 0;
+let _deliveringReactiveId = null;
+let _maxUpdateDepth = 100;
+
+// Post-flush effect lanes. user-blocking and normal drain together in one
+// microtask (user-blocking first); background drains in macrotask slices so
+// it yields to input handling between slices.
+const _effectLanes = {
+    'user-blocking': new Set(),
+    normal: new Set(),
+    background: new Set()
+};
+let _foregroundDrainQueued = false;
+let _backgroundDrainHandle = null;
+const _pendingNotifications = new Map();
+const _derivedListeners = new WeakSet();
 
 export function _nextReactiveId() {
     _reactiveIdCounter += 1;
@@ -36,20 +73,347 @@ export function _trackDependency(source) {
     }
 }
 
-function createInternalScope(label, mountReady) {
+/**
+ * Mark a subscriber as a derived-value listener. Derived listeners run while
+ * a write is being propagated (to mark dependents dirty) instead of being
+ * queued, so the full dirty set is known before any effect or marker runs.
+ *
+ * @param {Function} listener
+ * @returns {Function}
+ */
+export function _derivedListener(listener) {
+    _derivedListeners.add(listener);
+    return listener;
+}
+
+/**
+ * Propagate a change from the reactive source `reactiveId` to `subscribers`.
+ * Outside of batch() every call is its own propagation and flushes before
+ * returning. `resolve` lets lazy sources (computed) decide at flush time
+ * whether their value actually changed.
+ *
+ * @param {number} reactiveId
+ * @param {Set<Function>} subscribers
+ * @param {*} value
+ * @param {(() => { changed: boolean, value: * }) | null} [resolve]
+ */
+export function _notifySubscribers(reactiveId, subscribers, value, resolve = null) {
+    _batchDepth += 1;
+    try {
+        const snapshot = [...subscribers];
+        for (let i = 0; i < snapshot.length; i++) {
+            const subscriber = snapshot[i];
+            if (_derivedListeners.has(subscriber)) {
+                subscriber(value);
+                continue;
+            }
+            enqueueNotification(subscriber, reactiveId, subscribers, value, resolve);
+        }
+    } finally {
+        endBatch();
+    }
+}
+
+/**
+ * Queue `job` to run once in the current propagation, ordered by reactiveId.
+ * Runs synchronously when no propagation or batch is active.
+ *
+ * @param {() => void} job
+ * @param {number} reactiveId
+ */
+export function _scheduleReactiveJob(job, reactiveId) {
+    _batchDepth += 1;
+    try {
+        enqueueNotification(job, Number.isInteger(reactiveId) ? reactiveId : 0, null, undefined, null);
+    } finally {
+        endBatch();
+    }
+}
+
+function enqueueNotification(callback, reactiveId, subscribers, value, resolve) {
+    let entry = _pendingNotifications.get(callback);
+    if (!entry) {
+        _notificationSeq += 1;
+        entry = {
+            reactiveId,
+            depth: _updateDepth,
+            seq: _notificationSeq,
+            subscribers,
+            value,
+            direct: false,
+            resolvers: []
+        };
+        _pendingNotifications.set(callback, entry);
+    } else {
+        entry.reactiveId = Math.min(entry.reactiveId, reactiveId);
+        entry.depth = Math.max(entry.depth, _updateDepth);
+        entry.subscribers = subscribers;
+        entry.value = value;
+    }
+
+    if (typeof resolve === 'function') {
+        entry.resolvers.push(resolve);
+    } else {
+        entry.direct = true;
+    }
+}
+
+function deliverNotification(callback, entry) {
+    if (entry.subscribers && !entry.subscribers.has(callback)) {
+        return;
+    }
+
+    let deliver = entry.direct;
+    let value = entry.value;
+    for (let i = 0; i < entry.resolvers.length; i++) {
+        const result = entry.resolvers[i]();
+        if (result.changed) {
+            deliver = true;
+            value = result.value;
+        }
+    }
+
+    if (!deliver) {
+        return;
+    }
+
+    const previousDepth = _updateDepth;
+    const previousReactiveId = _deliveringReactiveId;
+    _updateDepth = entry.depth + 1;
+    _deliveringReactiveId = entry.reactiveId;
+    try {
+        callback(value);
+    } finally {
+        _updateDepth = previousDepth;
+        _deliveringReactiveId = previousReactiveId;
+    }
+}
+
+/**
+ * Causal depth of the notification currently being handled (0 outside any
+ * propagation) and the reactive id that triggered it.
+ *
+ * @returns {{ depth: number, reactiveId: number | null }}
+ */
+export function _currentUpdate() {
+    return { depth: _updateDepth, reactiveId: _deliveringReactiveId };
+}
+
+export function _getMaxUpdateDepth() {
+    return _maxUpdateDepth;
+}
+
+/**
+ * Set how many nested updates an effect, marker or subscribe() callback may
+ * trigger before it is treated as an infinite loop. Returns the previous limit.
+ *
+ * @param {number} depth
+ * @returns {number}
+ */
+export function setMaxUpdateDepth(depth) {
+    if (!Number.isInteger(depth) || depth < 1) {
+        throw new Error('[Zenith Runtime] setMaxUpdateDepth(depth) requires a positive integer');
+    }
+    const previous = _maxUpdateDepth;
+    _maxUpdateDepth = depth;
+    return previous;
+}
+
+function formatReactiveIds(ids) {
+    if (ids.length === 0) {
+        return 'unknown';
+    }
+    return ids.map((id) => `#${id}`).join(', ');
+}
+
+function flushPendingNotifications() {
+    let failed = false;
+    let firstError = null;
+
+    while (_pendingNotifications.size > 0) {
+        const entries = Array.from(_pendingNotifications.entries()).sort(([, left], [, right]) => {
+            return left.reactiveId - right.reactiveId || left.seq - right.seq;
+        });
+        _pendingNotifications.clear();
+
+        // Every write goes through this loop, so it is the backstop for
+        // feedback loops: a subscriber writing what it listens to would
+        // otherwise spin here forever. Effects and markers trip their own
+        // guards one level earlier, with more specific errors.
+        const runawayIds = [];
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i][1];
+            if (entry.depth > _maxUpdateDepth && !runawayIds.includes(entry.reactiveId)) {
+                runawayIds.push(entry.reactiveId);
+            }
+        }
+        if (runawayIds.length > 0) {
+            if (failed) {
+                // a guard further down already reported this loop
+                throw firstError;
+            }
+            throwZenithRuntimeError({
+                phase: 'effect',
+                code: 'INFINITE_UPDATE_LOOP',
+                message: `subscribers exceeded ${_maxUpdateDepth} nested updates (signals ${formatReactiveIds(runawayIds.sort((left, right) => left - right))})`,
+                hint: 'A subscriber writes a signal it is notified by. Guard the write or derive the value with computed().'
+            });
+        }
+
+        // Writes performed by subscribers are coalesced into the next pass.
+        _batchDepth += 1;
+        try {
+            for (let i = 0; i < entries.length; i++) {
+                const [callback, entry] = entries[i];
+                try {
+                    deliverNotification(callback, entry);
+                } catch (error) {
+                    if (!failed) {
+                        failed = true;
+                        firstError = error;
+                    }
+                }
+            }
+        } finally {
+            _batchDepth -= 1;
+        }
+    }
+
+    if (failed) {
+        throw firstError;
+    }
+}
+
+function endBatch() {
+    _batchDepth -= 1;
+    if (_batchDepth === 0) {
+        flushPendingNotifications();
+    }
+}
+
+/**
+ * Defer signal/state notifications until the outermost batch completes.
+ * Each subscriber is then flushed once, ordered by reactive id.
+ *
+ * @template T
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function batch(fn) {
+    if (typeof fn !== 'function') {
+        throw new Error('[Zenith Runtime] batch(fn) requires a function');
+    }
+
+    _batchDepth += 1;
+    try {
+        return fn();
+    } finally {
+        endBatch();
+    }
+}
+
+/**
+ * Async-safe batch: writes made before fn first awaits are flushed together
+ * once fn yields. The batch is released at that point, so writes after an
+ * await notify immediately (wrap them in batch() to group them) and a pending
+ * or hung promise never holds back unrelated updates.
+ *
+ * @template T
+ * @param {() => T | Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function transaction(fn) {
+    if (typeof fn !== 'function') {
+        throw new Error('[Zenith Runtime] transaction(fn) requires a function');
+    }
+
+    let result;
+    _batchDepth += 1;
+    try {
+        result = fn();
+    } finally {
+        endBatch();
+    }
+    return await result;
+}
+
+export function _runWithDependencyCollector(collector, fn) {
+    const previousCollector = _activeDependencyCollector;
+    _activeDependencyCollector = collector;
+    try {
+        return fn();
+    } finally {
+        _activeDependencyCollector = previousCollector;
+    }
+}
+
+function neverEqual() {
+    return false;
+}
+
+/**
+ * Resolve the `equals` option shared by signal(), state(), and computed().
+ * `false` disables the check so every write notifies.
+ *
+ * @param {object | null | undefined} options
+ * @param {(prev: *, next: *) => boolean} fallback
+ * @param {string} label
+ * @returns {(prev: *, next: *) => boolean}
+ */
+export function _resolveEqualsOption(options, fallback, label) {
+    if (options === undefined || options === null) {
+        return fallback;
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error(`[Zenith Runtime] ${label} requires options object when provided`);
+    }
+    if (options.equals === undefined || options.equals === null) {
+        return fallback;
+    }
+    if (options.equals === false) {
+        return neverEqual;
+    }
+    if (typeof options.equals !== 'function') {
+        throw new Error(`[Zenith Runtime] ${label} options.equals must be a function or false`);
+    }
+    return options.equals;
+}
+
+/**
+ * Run fn without registering any get() call as a dependency of the
+ * surrounding zenEffect or computed.
+ *
+ * @template T
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function untrack(fn) {
+    if (typeof fn !== 'function') {
+        throw new Error('[Zenith Runtime] untrack(fn) requires a function');
+    }
+    return _runWithDependencyCollector(null, fn);
+}
+
+function createInternalScope(label, mountReady, onError = null, parent = null) {
     _scopeIdCounter += 1;
     return {
         __zenith_scope: true,
         id: _scopeIdCounter,
         label,
+        parent,
         mountReady: mountReady === true,
         disposed: false,
+        onError,
         pendingMounts: [],
-        disposers: []
+        disposers: [],
+        children: []
     };
 }
 
 let _globalScope = createInternalScope('global', true);
+// Scope entered through runInScope(); helpers resolve to it when no explicit
+// scope is passed.
+let _currentScope = null;
 
 function isScope(value) {
     return !!value && typeof value === 'object' && value.__zenith_scope === true;
@@ -59,6 +423,9 @@ function resolveScope(scopeOverride) {
     if (isScope(scopeOverride)) {
         return scopeOverride;
     }
+    if (_currentScope !== null) {
+        return _currentScope;
+    }
     return _globalScope;
 }
 
@@ -67,8 +434,139 @@ export function resetGlobalSideEffects() {
     _globalScope = createInternalScope('global', true);
 }
 
-export function createSideEffectScope(label = 'anonymous') {
-    return createInternalScope(label, false);
+function normalizeScopeErrorHandler(handler) {
+    if (handler === undefined || handler === null) {
+        return null;
+    }
+    if (typeof handler !== 'function') {
+        throw new Error('[Zenith Runtime] side-effect scope onError must be a function');
+    }
+    return handler;
+}
+
+/**
+ * Create a side-effect scope. A child scope (explicit `parent`, or the scope
+ * entered through runInScope()) is disposed with its parent and becomes
+ * mount-ready together with it. A root scope waits for
+ * activateSideEffectScope().
+ *
+ * @param {string} [label]
+ * @param {object | { onError?: Function } | null} [parentOrOptions]
+ * @param {{ onError?: (error: *, info: { scope: string, stage: string }) => void } | null} [options]
+ * @returns {object}
+ */
+export function createSideEffectScope(label = 'anonymous', parentOrOptions = null, options = null) {
+    // Without an explicit parent scope (including the options-only form) the
+    // scope entered through runInScope() is the parent.
+    let parent = _currentScope;
+    let scopeOptions = options;
+    if (isScope(parentOrOptions)) {
+        parent = parentOrOptions;
+    } else if (parentOrOptions !== null && parentOrOptions !== undefined) {
+        scopeOptions = parentOrOptions;
+    }
+
+    if (scopeOptions !== null && (typeof scopeOptions !== 'object' || Array.isArray(scopeOptions))) {
+        throw new Error('[Zenith Runtime] createSideEffectScope(label, parent, options) requires options object when provided');
+    }
+
+    const scope = createInternalScope(
+        label,
+        false,
+        normalizeScopeErrorHandler(scopeOptions ? scopeOptions.onError : null),
+        parent
+    );
+
+    if (parent) {
+        if (parent.disposed) {
+            disposeSideEffectScope(scope);
+            return scope;
+        }
+        parent.children.push(scope);
+        queueWhenScopeReady(parent, () => activateSideEffectScope(scope));
+    }
+
+    return scope;
+}
+
+/**
+ * Run `fn` with `scope` as the current scope, so zenEffect, zenMount and the
+ * helpers built on them attach to it without an explicit scope argument.
+ * Only the synchronous part of `fn` runs inside the scope.
+ *
+ * @template T
+ * @param {object} scope
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runInScope(scope, fn) {
+    if (!isScope(scope)) {
+        throw new Error('[Zenith Runtime] runInScope(scope, fn) requires a side-effect scope');
+    }
+    if (typeof fn !== 'function') {
+        throw new Error('[Zenith Runtime] runInScope(scope, fn) requires a function');
+    }
+
+    const previousScope = _currentScope;
+    _currentScope = scope;
+    try {
+        return fn();
+    } finally {
+        _currentScope = previousScope;
+    }
+}
+
+export function setSideEffectScopeErrorHandler(scope, handler) {
+    if (!isScope(scope)) {
+        return;
+    }
+    scope.onError = normalizeScopeErrorHandler(handler);
+}
+
+/**
+ * Route an effect, mount or cleanup failure to the scope's onError handler,
+ * or to runtime diagnostics when the scope has none (or the handler throws).
+ *
+ * @param {object | null} scope
+ * @param {*} error
+ * @param {'effect' | 'mount' | 'cleanup'} stage
+ */
+function reportScopeError(scope, error, stage) {
+    const label = scope && typeof scope.label === 'string' ? scope.label : 'global';
+    let failure = error;
+    let failedStage = stage;
+
+    // Unhandled failures bubble to the nearest ancestor with a handler.
+    let handlerScope = scope;
+    while (handlerScope && typeof handlerScope.onError !== 'function') {
+        handlerScope = handlerScope.parent;
+    }
+
+    if (handlerScope) {
+        try {
+            handlerScope.onError(error, { scope: label, stage });
+            return;
+        } catch (handlerError) {
+            failure = handlerError;
+            failedStage = 'onError';
+        }
+    }
+
+    if (isZenithRuntimeError(failure)) {
+        reportZenithRuntimeError(failure.zenithRuntimeError, failure.cause);
+        return;
+    }
+
+    const reason = failure && typeof failure.message === 'string' ? failure.message : String(failure);
+    reportZenithRuntimeError({
+        phase: 'effect',
+        code: 'EFFECT_FAILED',
+        message: `${failedStage} failed in ${label}: ${reason}`,
+        path: label,
+        hint: failedStage === 'cleanup'
+            ? 'Cleanup errors are reported but never stop teardown.'
+            : 'Pass onError to the side-effect scope to recover or render fallback UI.'
+    }, failure);
 }
 
 export function activateSideEffectScope(scope) {
@@ -85,8 +583,9 @@ export function activateSideEffectScope(scope) {
         if (typeof callback !== 'function') continue;
         try {
             callback();
-        } catch {
+        } catch (error) {
             // failed effect mounts should not crash sibling nodes
+            reportScopeError(scope, error, 'mount');
         }
     }
 }
@@ -114,12 +613,74 @@ function registerScopeDisposer(scope, disposer) {
     };
 }
 
+/**
+ * Tie a disposer to the given scope (or the global one). Returns a disposer
+ * that runs it early and unregisters it from the scope.
+ *
+ * @param {() => void} disposer
+ * @param {object | null} [scopeOverride]
+ * @returns {() => void}
+ */
+export function _registerSideEffectDisposer(disposer, scopeOverride = null) {
+    let disposed = false;
+    function disposeOnce() {
+        if (disposed) {
+            return;
+        }
+        disposed = true;
+        disposer();
+    }
+
+    const unregister = registerScopeDisposer(resolveScope(scopeOverride), disposeOnce);
+    return function dispose() {
+        unregister();
+        disposeOnce();
+    };
+}
+
+/**
+ * Report a failure from a scope-bound helper (stream errors, async sources)
+ * through the scope's onError chain or runtime diagnostics.
+ *
+ * @param {*} error
+ * @param {'effect' | 'mount' | 'cleanup'} stage
+ * @param {object | null} [scopeOverride]
+ */
+export function _reportSideEffectError(error, stage, scopeOverride = null) {
+    reportScopeError(resolveScope(scopeOverride), error, stage);
+}
+
+/**
+ * Resolve the scope a helper should bind to right now (explicit override,
+ * then the runInScope() scope, then the global scope), for helpers that
+ * report asynchronously after runInScope() has returned.
+ *
+ * @param {object | null} [scopeOverride]
+ * @returns {object}
+ */
+export function _resolveSideEffectScope(scopeOverride = null) {
+    return resolveScope(scopeOverride);
+}
+
 export function disposeSideEffectScope(scope) {
     if (!scope || scope.disposed) {
         return;
     }
 
     scope.disposed = true;
+    if (scope.parent && !scope.parent.disposed) {
+        const index = scope.parent.children.indexOf(scope);
+        if (index >= 0) {
+            scope.parent.children.splice(index, 1);
+        }
+    }
+
+    // Children go first, newest to oldest, before this scope's own disposers.
+    const children = scope.children.slice();
+    scope.children.length = 0;
+    for (let i = children.length - 1; i >= 0; i--) {
+        disposeSideEffectScope(children[i]);
+    }
 
     const disposers = scope.disposers.slice();
     scope.disposers.length = 0;
@@ -132,8 +693,9 @@ export function disposeSideEffectScope(scope) {
         }
         try {
             disposer();
-        } catch {
+        } catch (error) {
             // cleanup failures must never break teardown flow
+            reportScopeError(scope, error, 'cleanup');
         }
     }
 }
@@ -163,26 +725,44 @@ function normalizeEffectOptions(options) {
         debounceMs: normalizeDelay(options.debounceMs, 'debounceMs'),
         throttleMs: normalizeDelay(options.throttleMs, 'throttleMs'),
         raf: options.raf === true,
-        flush: options.flush === 'sync' ? 'sync' : 'post'
+        idle: options.idle === true,
+        idleTimeoutMs: options.idleTimeoutMs === undefined
+            ? DEFAULT_IDLE_TIMEOUT_MS
+            : normalizeDelay(options.idleTimeoutMs, 'idleTimeoutMs'),
+        flush: options.flush === 'sync' ? 'sync' : 'post',
+        priority: options.priority === undefined ? 'normal' : options.priority
     };
 
     if (options.flush !== undefined && options.flush !== 'sync' && options.flush !== 'post') {
         throw new Error('[Zenith Runtime] zenEffect options.flush must be "post" or "sync"');
     }
 
+    if (!EFFECT_PRIORITIES.has(normalized.priority)) {
+        throw new Error('[Zenith Runtime] zenEffect options.priority must be "user-blocking", "normal", or "background"');
+    }
+
+    if (options.idleTimeoutMs !== undefined && !normalized.idle) {
+        throw new Error('[Zenith Runtime] zenEffect options.idleTimeoutMs requires idle: true');
+    }
+
     const schedulingModes =
         (normalized.debounceMs > 0 ? 1 : 0) +
         (normalized.throttleMs > 0 ? 1 : 0) +
-        (normalized.raf ? 1 : 0);
+        (normalized.raf ? 1 : 0) +
+        (normalized.idle ? 1 : 0);
 
     if (schedulingModes > 1) {
-        throw new Error('[Zenith Runtime] zenEffect options may use only one scheduler: debounceMs, throttleMs, or raf');
+        throw new Error('[Zenith Runtime] zenEffect options may use only one scheduler: debounceMs, throttleMs, raf, or idle');
+    }
+
+    if (normalized.priority !== 'normal' && (schedulingModes > 0 || normalized.flush === 'sync')) {
+        throw new Error('[Zenith Runtime] zenEffect options.priority applies only to post-flush effects without a timing scheduler');
     }
 
     return normalized;
 }
 
-function drainCleanupStack(cleanups) {
+function drainCleanupStack(cleanups, scope) {
     for (let i = cleanups.length - 1; i >= 0; i--) {
         const cleanup = cleanups[i];
         if (typeof cleanup !== 'function') {
@@ -190,22 +770,81 @@ function drainCleanupStack(cleanups) {
         }
         try {
             cleanup();
-        } catch {
-            // swallow cleanup errors to preserve deterministic teardown
+        } catch (error) {
+            // report, but keep draining to preserve deterministic teardown
+            reportScopeError(scope, error, 'cleanup');
         }
     }
     cleanups.length = 0;
 }
 
-function applyCleanupResult(result, registerCleanup) {
+function resolveCleanupResult(result) {
     if (typeof result === 'function') {
-        registerCleanup(result);
+        return result;
+    }
+    if (result && typeof result === 'object' && typeof result.cleanup === 'function') {
+        return result.cleanup;
+    }
+    return null;
+}
+
+function isAbortError(error) {
+    return !!error && typeof error === 'object' && error.name === 'AbortError';
+}
+
+/**
+ * Register the cleanup returned by an effect or mount callback. A returned
+ * Promise registers its resolved cleanup while the run is still current, or
+ * runs it immediately once the run was superseded or disposed. Rejections are
+ * reported, except aborts of runs that are no longer current.
+ *
+ * @param {*} result
+ * @param {(fn: () => void) => void} registerCleanup
+ * @param {() => boolean} isCurrentRun
+ * @param {(error: *, stage: 'effect' | 'mount' | 'cleanup') => void} reportError
+ * @param {'effect' | 'mount'} stage
+ */
+function applyCleanupResult(result, registerCleanup, isCurrentRun, reportError, stage) {
+    if (!result || typeof result.then !== 'function') {
+        const cleanup = resolveCleanupResult(result);
+        if (cleanup) {
+            registerCleanup(cleanup);
+        }
         return;
     }
 
-    if (result && typeof result === 'object' && typeof result.cleanup === 'function') {
-        registerCleanup(result.cleanup);
+    result.then(
+        (resolved) => {
+            const cleanup = resolveCleanupResult(resolved);
+            if (!cleanup) {
+                return;
+            }
+            if (isCurrentRun()) {
+                registerCleanup(cleanup);
+                return;
+            }
+            try {
+                cleanup();
+            } catch (error) {
+                reportError(error, 'cleanup');
+            }
+        },
+        (error) => {
+            if (!isCurrentRun() && isAbortError(error)) {
+                return;
+            }
+            reportError(error, stage);
+        }
+    );
+}
+
+function createRunAbortSignal(registerCleanup) {
+    if (typeof AbortController !== 'function') {
+        return undefined;
     }
+    const controller = new AbortController();
+    registerCleanup(() => controller.abort());
+    return controller.signal;
 }
 
 function requireFunction(callback, label) {
@@ -216,13 +855,15 @@ function requireFunction(callback, label) {
 
 function createMountContext(registerCleanup) {
     return {
-        cleanup: registerCleanup
+        cleanup: registerCleanup,
+        signal: createRunAbortSignal(registerCleanup)
     };
 }
 
 function createEffectContext(registerCleanup) {
     return {
         cleanup: registerCleanup,
+        signal: createRunAbortSignal(registerCleanup),
         timeout(callback, delayMs = 0) {
             requireFunction(callback, 'zenEffect context.timeout(callback, delayMs)');
             const timeoutId = setTimeout(callback, normalizeDelay(delayMs, 'timeout'));
@@ -317,12 +958,76 @@ function createEffectContext(registerCleanup) {
     };
 }
 
-function createScheduler(runNow, options) {
-    let microtaskQueued = false;
+function takeLaneJob(lane) {
+    const job = lane.values().next().value;
+    lane.delete(job);
+    return job;
+}
+
+function drainForegroundLanes() {
+    _foregroundDrainQueued = false;
+    const userBlocking = _effectLanes['user-blocking'];
+    const normal = _effectLanes.normal;
+    try {
+        while (userBlocking.size > 0 || normal.size > 0) {
+            takeLaneJob(userBlocking.size > 0 ? userBlocking : normal)();
+        }
+    } finally {
+        if (userBlocking.size > 0 || normal.size > 0) {
+            queueForegroundDrain();
+        }
+    }
+}
+
+function queueForegroundDrain() {
+    if (_foregroundDrainQueued) {
+        return;
+    }
+    _foregroundDrainQueued = true;
+    queueMicrotask(drainForegroundLanes);
+}
+
+function drainBackgroundLane() {
+    _backgroundDrainHandle = null;
+    const lane = _effectLanes.background;
+    const deadline = Date.now() + BACKGROUND_SLICE_MS;
+    try {
+        while (lane.size > 0 && Date.now() < deadline) {
+            takeLaneJob(lane)();
+        }
+    } finally {
+        if (lane.size > 0) {
+            queueBackgroundDrain();
+        }
+    }
+}
+
+function queueBackgroundDrain() {
+    if (_backgroundDrainHandle !== null) {
+        return;
+    }
+    _backgroundDrainHandle = setTimeout(drainBackgroundLane, 0);
+}
+
+function enqueueLaneJob(priority, job) {
+    _effectLanes[priority].add(job);
+    if (priority === 'background') {
+        queueBackgroundDrain();
+    } else {
+        queueForegroundDrain();
+    }
+}
+
+function createScheduler(runNow, options, onUpdateLoop) {
+    let laneQueued = false;
     let debounceTimer = null;
     let throttleTimer = null;
     let rafHandle = null;
+    let idleHandle = null;
     let lastRunAt = 0;
+    let pendingDepth = 0;
+    // reactive ids that scheduled runs within the current causal chain
+    const triggerIds = new Set();
 
     function clearScheduledWork() {
         if (debounceTimer !== null) {
@@ -341,19 +1046,57 @@ function createScheduler(runNow, options) {
             }
             rafHandle = null;
         }
-        microtaskQueued = false;
+        if (idleHandle !== null) {
+            if (typeof cancelIdleCallback === 'function') {
+                cancelIdleCallback(idleHandle);
+            } else {
+                clearTimeout(idleHandle);
+            }
+            idleHandle = null;
+        }
+        if (laneQueued) {
+            _effectLanes[options.priority].delete(invokeNow);
+            laneQueued = false;
+        }
     }
 
     function invokeNow() {
-        microtaskQueued = false;
+        laneQueued = false;
         debounceTimer = null;
         throttleTimer = null;
         rafHandle = null;
+        idleHandle = null;
+
+        // The depth is carried across microtasks and timers, so an effect that
+        // keeps re-triggering itself is caught in post flush mode as well.
+        const depth = pendingDepth;
+        pendingDepth = 0;
+        if (depth > _maxUpdateDepth) {
+            const ids = Array.from(triggerIds).sort((left, right) => left - right);
+            triggerIds.clear();
+            onUpdateLoop(ids);
+            return;
+        }
+        if (depth <= 1) {
+            triggerIds.clear();
+        }
+
         lastRunAt = Date.now();
-        runNow();
+        const previousDepth = _updateDepth;
+        _updateDepth = depth;
+        try {
+            runNow();
+        } finally {
+            _updateDepth = previousDepth;
+        }
     }
 
     function schedule() {
+        pendingDepth = Math.max(pendingDepth, _updateDepth);
+        if (_deliveringReactiveId !== null) {
+            triggerIds.add(_deliveringReactiveId);
+        }
+
         if (options.debounceMs > 0) {
             if (debounceTimer !== null) {
                 clearTimeout(debounceTimer);
@@ -395,16 +1138,28 @@ function createScheduler(runNow, options) {
             return;
         }
 
+        if (options.idle) {
+            if (idleHandle !== null) {
+                return;
+            }
+            if (typeof requestIdleCallback === 'function') {
+                idleHandle = requestIdleCallback(invokeNow, { timeout: options.idleTimeoutMs });
+            } else {
+                idleHandle = setTimeout(invokeNow, IDLE_FALLBACK_DELAY_MS);
+            }
+            return;
+        }
+
         if (options.flush === 'sync') {
             invokeNow();
             return;
         }
 
-        if (microtaskQueued) {
+        if (laneQueued) {
             return;
         }
-        microtaskQueued = true;
-        queueMicrotask(invokeNow);
+        laneQueued = true;
+        enqueueLaneJob(options.priority, invokeNow);
     }
 
     return {
@@ -426,6 +1181,7 @@ function queueWhenScopeReady(scope, callback) {
 
 function createAutoTrackedEffect(effect, options, scope) {
     let disposed = false;
+    let runGeneration = 0;
     const activeSubscriptions = new Map();
     const runCleanups = [];
 
@@ -444,7 +1200,9 @@ function createAutoTrackedEffect(effect, options, scope) {
             return;
         }
 
-        drainCleanupStack(runCleanups);
+        drainCleanupStack(runCleanups, scope);
+        runGeneration += 1;
+        const generation = runGeneration;
 
         const nextDependenciesById = new Map();
         const previousCollector = _activeDependencyCollector;
@@ -453,19 +1211,36 @@ function createAutoTrackedEffect(effect, options, scope) {
             if (!source || typeof source.subscribe !== 'function') {
                 return;
             }
-            const reactiveId = Number.isInteger(source.__zenith_id) ? source.__zenith_id : 0;
-            if (!nextDependenciesById.has(reactiveId)) {
-                nextDependenciesById.set(reactiveId, source);
+            // sources without a reactive id (plain subscribe() stores) are keyed by identity
+            const key = Number.isInteger(source.__zenith_id) ? source.__zenith_id : source;
+            if (!nextDependenciesById.has(key)) {
+                nextDependenciesById.set(key, source);
             }
         };
 
         try {
+            // only reads before the first await are tracked as dependencies
             const result = effect(createEffectContext(registerCleanup));
-            applyCleanupResult(result, registerCleanup);
+            applyCleanupResult(
+                result,
+                registerCleanup,
+                () => !disposed && !scope.disposed && generation === runGeneration,
+                (error, stage) => reportScopeError(scope, error, stage),
+                'effect'
+            );
+        } catch (error) {
+            // dependencies read before the failure stay tracked so the effect
+            // can recover on the next change
+            reportScopeError(scope, error, 'effect');
         } finally {
             _activeDependencyCollector = previousCollector;
         }
 
+        if (disposed) {
+            // the effect disposed itself while running
+            return;
+        }
+
         const nextDependencies = Array.from(nextDependenciesById.values()).sort((left, right) => {
             const leftId = Number.isInteger(left.__zenith_id) ? left.__zenith_id : 0;
             const rightId = Number.isInteger(right.__zenith_id) ? right.__zenith_id : 0;
@@ -490,20 +1265,32 @@ function createAutoTrackedEffect(effect, options, scope) {
                 continue;
             }
 
-            const unsubscribe = dependency.subscribe(() => {
-                scheduler.schedule();
-            });
+            const unsubscribe = dependency.subscribe(onDependencyChange);
 
             activeSubscriptions.set(
                 dependency,
                 typeof unsubscribe === 'function' ? unsubscribe : () => { }
             );
         }
-
-        void effectId;
     }
 
-    const scheduler = createScheduler(runEffectNow, options);
+    const scheduler = createScheduler(runEffectNow, options, (signalIds) => {
+        const label = scope && typeof scope.label === 'string' ? scope.label : 'global';
+        const loopError = createZenithRuntimeError({
+            phase: 'effect',
+            code: 'INFINITE_UPDATE_LOOP',
+            message: `effect #${effectId} in ${label} exceeded ${_maxUpdateDepth} nested updates (signals ${formatReactiveIds(signalIds)})`,
+            path: label,
+            hint: 'The effect writes a signal it reads. Guard the write, use untrack(), or derive the value with computed().'
+        });
+        reportScopeError(scope, loopError, 'effect');
+    });
+
+    // One listener for every dependency so a propagation schedules this
+    // effect at most once, however many of its dependencies changed.
+    function onDependencyChange() {
+        scheduler.schedule();
+    }
 
     function disposeEffect() {
         if (disposed) {
@@ -520,7 +1307,7 @@ function createAutoTrackedEffect(effect, options, scope) {
         }
         activeSubscriptions.clear();
 
-        drainCleanupStack(runCleanups);
+        drainCleanupStack(runCleanups, scope);
     }
 
     registerScopeDisposer(scope, disposeEffect);
@@ -529,7 +1316,17 @@ function createAutoTrackedEffect(effect, options, scope) {
     return disposeEffect;
 }
 
-function createExplicitDependencyEffect(effect, dependencies, scope) {
+function normalizeExplicitEffectOptions(options) {
+    const normalized = normalizeEffectOptions(options);
+    // Explicit-dependency effects have always run synchronously; keep that
+    // unless the caller picks a flush mode or a non-default lane.
+    if ((options && options.flush !== undefined) || normalized.priority !== 'normal') {
+        return normalized;
+    }
+    return { ...normalized, flush: 'sync' };
+}
+
+function createExplicitDependencyEffect(effect, dependencies, options, scope) {
     if (!Array.isArray(dependencies)) {
         throw new Error('[Zenith Runtime] zeneffect(deps, fn) requires an array of dependencies');
     }
@@ -542,23 +1339,21 @@ function createExplicitDependencyEffect(effect, dependencies, scope) {
         throw new Error('[Zenith Runtime] zeneffect(deps, fn) requires a function');
     }
 
-    const unsubscribers = dependencies.map((dep, index) => {
+    for (let i = 0; i < dependencies.length; i++) {
+        const dep = dependencies[i];
         if (!dep || typeof dep.subscribe !== 'function') {
-            throw new Error(`[Zenith Runtime] zeneffect dependency at index ${index} must expose subscribe(fn)`);
+            throw new Error(`[Zenith Runtime] zeneffect dependency at index ${i} must expose subscribe(fn)`);
         }
+    }
 
-        return dep.subscribe(() => {
-            effect();
-        });
-    });
-
-    effect();
-
-    return function dispose() {
-        for (let i = 0; i < unsubscribers.length; i++) {
-            unsubscribers[i]();
+    // The listed dependencies are the only ones tracked; reads inside the
+    // effect body are untracked.
+    return createAutoTrackedEffect((context) => {
+        for (let i = 0; i < dependencies.length; i++) {
+            _trackDependency(dependencies[i]);
         }
-    };
+        return _runWithDependencyCollector(null, () => effect(context));
+    }, normalizeExplicitEffectOptions(options), scope);
 }
 
 export function zenEffect(effect, options = null, scopeOverride = null) {
@@ -572,25 +1367,173 @@ export function zenEffect(effect, options = null, scopeOverride = null) {
     return createAutoTrackedEffect(effect, opts, scope);
 }
 
-export function zeneffect(effectOrDependencies, optionsOrEffect, scopeOverride = null) {
+export function zeneffect(effectOrDependencies, optionsOrEffect, scopeOrOptions = null, scopeOverride = null) {
     if (Array.isArray(effectOrDependencies)) {
         if (typeof optionsOrEffect !== 'function') {
             throw new Error('[Zenith Runtime] zeneffect(deps, effect) requires an effect function');
         }
-        return createExplicitDependencyEffect(optionsOrEffect, effectOrDependencies, resolveScope(scopeOverride));
+        // zeneffect(deps, effect, scope) predates the options argument
+        const scopeArgument = isScope(scopeOrOptions);
+        return createExplicitDependencyEffect(
+            optionsOrEffect,
+            effectOrDependencies,
+            scopeArgument ? null : scopeOrOptions,
+            resolveScope(scopeArgument ? scopeOrOptions : scopeOverride)
+        );
     }
 
     if (typeof effectOrDependencies === 'function') {
         return createAutoTrackedEffect(
             effectOrDependencies,
             normalizeEffectOptions(optionsOrEffect),
-            resolveScope(scopeOverride)
+            resolveScope(scopeOrOptions)
         );
     }
 
     throw new Error('[Zenith Runtime] zeneffect() invalid arguments. Expected (effect) or (dependencies, effect)');
 }
 
+function createWatchGetter(source, label) {
+    if (typeof source === 'function') {
+        return source;
+    }
+    if (source && typeof source === 'object' && typeof source.get === 'function') {
+        return () => source.get();
+    }
+    throw new Error(`[Zenith Runtime] ${label} must be a signal, state, selector or getter function`);
+}
+
+/**
+ * Call `callback(next, prev, ctx)` when the watched value changes. Sources
+ * may be signals, states, selectors or getter functions, or an array of
+ * them (next/prev are then arrays). Runs on the zenEffect scheduler, so the
+ * scheduling options (flush, debounceMs, throttleMs, raf, idle, priority)
+ * apply as well.
+ *
+ * Options:
+ *   immediate - also call back for the initial value (prev is undefined)
+ *   once      - stop watching after the first call
+ *   equals    - compares each source's next and previous value (Object.is)
+ *
+ * Cleanups registered by a call run before the next call and on dispose.
+ *
+ * @param {*} sources
+ * @param {(next: *, prev: *, ctx: object) => *} callback
+ * @param {object | null} [options]
+ * @param {object | null} [scopeOverride]
+ * @returns {() => void}
+ */
+export function watch(sources, callback, options = null, scopeOverride = null) {
+    if (typeof callback !== 'function') {
+        throw new Error('[Zenith Runtime] watch(source, callback) requires a callback function');
+    }
+
+    const multiple = Array.isArray(sources);
+    if (multiple && sources.length === 0) {
+        throw new Error('[Zenith Runtime] watch(sources, callback) requires at least one source');
+    }
+    const getters = multiple
+        ? sources.map((source, index) => createWatchGetter(source, `watch source at index ${index}`))
+        : [createWatchGetter(sources, 'watch(source)')];
+
+    const effectOptions = normalizeEffectOptions(options);
+    const immediate = !!(options && options.immediate === true);
+    const once = !!(options && options.once === true);
+    const equals = options && options.equals !== undefined ? options.equals : Object.is;
+    if (typeof equals !== 'function') {
+        throw new Error('[Zenith Runtime] watch options.equals must be a function');
+    }
+
+    const scope = resolveScope(scopeOverride);
+    const callbackCleanups = [];
+    let generation = 0;
+    let stopped = false;
+    let stopEffect = null;
+    let stopRequested = false;
+
+    function read() {
+        const values = getters.map((getter) => getter());
+        return multiple ? values : values[0];
+    }
+
+    function isUnchanged(next, prev) {
+        if (!multiple) {
+            return equals(next, prev);
+        }
+        for (let i = 0; i < next.length; i++) {
+            if (!equals(next[i], prev[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function registerCleanup(cleanup) {
+        if (typeof cleanup !== 'function') {
+            throw new Error('[Zenith Runtime] cleanup(fn) requires a function');
+        }
+        callbackCleanups.push(cleanup);
+    }
+
+    function invoke(next, prev) {
+        drainCleanupStack(callbackCleanups, scope);
+        generation += 1;
+        const callGeneration = generation;
+        if (once) {
+            // an immediate sync first run happens before stopEffect is assigned
+            if (stopEffect) {
+                stopEffect();
+            } else {
+                stopRequested = true;
+            }
+        }
+        const result = _runWithDependencyCollector(null, () => callback(next, prev, createEffectContext(registerCleanup)));
+        applyCleanupResult(
+            result,
+            registerCleanup,
+            () => !stopped && !scope.disposed && callGeneration === generation,
+            (error, stage) => reportScopeError(scope, error, stage),
+            'effect'
+        );
+    }
+
+    // Without `immediate` the baseline is read now, so changes made before
+    // the first scheduled run still count as transitions.
+    let initialized = !immediate;
+    let previous = immediate ? undefined : _runWithDependencyCollector(null, read);
+
+    stopEffect = createAutoTrackedEffect(() => {
+        const next = read();
+        if (!initialized) {
+            initialized = true;
+            previous = next;
+            invoke(next, undefined);
+            return;
+        }
+        if (isUnchanged(next, previous)) {
+            return;
+        }
+        const prev = previous;
+        previous = next;
+        invoke(next, prev);
+    }, effectOptions, scope);
+    if (stopRequested) {
+        stopEffect();
+    }
+
+    function stop() {
+        if (stopped) {
+            return;
+        }
+        stopped = true;
+        stopEffect();
+        drainCleanupStack(callbackCleanups, scope);
+    }
+
+    registerScopeDisposer(scope, stop);
+    return stop;
+}
+
 export function zenMount(callback, scopeOverride = null) {
     if (typeof callback !== 'function') {
         throw new Error('[Zenith Runtime] zenMount(callback) requires a function');
@@ -599,6 +1542,7 @@ export function zenMount(callback, scopeOverride = null) {
     const scope = resolveScope(scopeOverride);
     const cleanups = [];
     let executed = false;
+    let unmounted = false;
     let registeredDisposer = null;
 
     function registerCleanup(fn) {
@@ -609,7 +1553,7 @@ export function zenMount(callback, scopeOverride = null) {
     }
 
     function runMount() {
-        if (scope.disposed || executed) {
+        if (scope.disposed || executed || unmounted) {
             return;
         }
 
@@ -617,24 +1561,31 @@ export function zenMount(callback, scopeOverride = null) {
 
         try {
             const result = callback(createMountContext(registerCleanup));
-            applyCleanupResult(result, registerCleanup);
+            applyCleanupResult(
+                result,
+                registerCleanup,
+                () => !unmounted && !scope.disposed,
+                (error, stage) => reportScopeError(scope, error, stage),
+                'mount'
+            );
         } catch (error) {
-            // Unhandled mount errors shouldn't crash hydration, but we log them
-            console.error('[Zenith Runtime] Unhandled error during zenMount:', error);
+            // Unhandled mount errors shouldn't crash hydration, but we report them
+            reportScopeError(scope, error, 'mount');
         }
 
         registeredDisposer = registerScopeDisposer(scope, () => {
-            drainCleanupStack(cleanups);
+            unmounted = true;
+            drainCleanupStack(cleanups, scope);
         });
     }
 
     queueWhenScopeReady(scope, runMount);
 
     return function dispose() {
+        unmounted = true;
         if (registeredDisposer) {
             registeredDisposer();
-        } else {
-            drainCleanupStack(cleanups);
         }
+        drainCleanupStack(cleanups, scope);
     };
 }
@@ -0,0 +1,151 @@
+import { signalArray, signalMap } from '../src/collections.js';
+import { computed } from '../src/computed.js';
+import { batch, zenEffect } from '../src/zeneffect.js';
+
+function applyArrayChanges(target, changes) {
+    for (const change of changes) {
+        if (change.type === 'insert') target.splice(change.index, 0, change.value);
+        if (change.type === 'remove') target.splice(change.index, 1);
+        if (change.type === 'update') target[change.index] = change.value;
+        if (change.type === 'move') target.splice(change.to, 0, target.splice(change.from, 1)[0]);
+        if (change.type === 'reset') target.splice(0, target.length, ...change.value);
+    }
+    return target;
+}
+
+describe('signalArray()', () => {
+    test('emits insert/remove/move/update records for each edit', () => {
+        const list = signalArray(['a', 'b']);
+        const received = [];
+        list.subscribeChanges((changes) => received.push(changes));
+
+        list.push('c');
+        list.remove(0);
+        list.move(1, 0);
+        list.setAt(0, 'C');
+
+        expect(received).toEqual([
+            [{ type: 'insert', index: 2, value: 'c' }],
+            [{ type: 'remove', index: 0, value: 'a' }],
+            [{ type: 'move', from: 1, to: 0, value: 'c' }],
+            [{ type: 'update', index: 0, value: 'C', previous: 'c' }]
+        ]);
+        expect(list.get()).toEqual(['C', 'b']);
+    });
+
+    test('delivers batched records together and they reproduce the array', () => {
+        const list = signalArray([1, 2, 3, 4]);
+        const mirror = list.peek().slice();
+        const deliveries = [];
+        list.subscribeChanges((changes, snapshot) => {
+            deliveries.push(snapshot);
+            applyArrayChanges(mirror, changes);
+        });
+
+        batch(() => {
+            list.splice(1, 2, 'x', 'y', 'z');
+            list.unshift(0);
+            list.pop();
+            list.move(0, 2);
+        });
+
+        expect(deliveries).toHaveLength(1);
+        expect(mirror).toEqual(list.peek());
+        expect(Object.isFrozen(list.peek())).toBe(true);
+    });
+
+    test('keeps the plain subscribe contract and tracks reads', () => {
+        const list = signalArray([]);
+        const values = [];
+        list.subscribe((value) => values.push(value));
+        const size = computed(() => list.length);
+        const sizes = [];
+        size.subscribe((value) => sizes.push(value));
+
+        list.push('a', 'b');
+        list.set(['z']);
+
+        expect(values).toEqual([['a', 'b'], ['z']]);
+        expect(sizes).toEqual([2, 1]);
+    });
+
+    test('re-runs effects that read it', () => {
+        const list = signalArray(['a']);
+        const seen = [];
+        const dispose = zenEffect(() => {
+            seen.push(list.at(0));
+        }, { flush: 'sync' });
+
+        list.setAt(0, 'b');
+        list.setAt(0, 'b');
+
+        expect(seen).toEqual(['a', 'b']);
+        dispose();
+    });
+
+    test('validates indexes', () => {
+        const list = signalArray(['a']);
+        expect(() => list.remove(3)).toThrow('signalArray.remove index 3 is out of range');
+        expect(() => list.insert(-1, 'x')).toThrow('out of range');
+        expect(() => signalArray('abc')).toThrow('requires an array');
+    });
+});
+
+describe('signalMap()', () => {
+    test('emits insert/update/remove records keyed by key', () => {
+        const users = signalMap({ ada: 'online' });
+        const received = [];
+        users.subscribeChanges((changes) => received.push(...changes));
+
+        users.setKey('grace', 'away');
+        users.setKey('ada', 'offline');
+        users.setKey('ada', 'offline');
+        users.deleteKey('grace');
+        users.deleteKey('missing');
+
+        expect(received).toEqual([
+            { type: 'insert', key: 'grace', value: 'away' },
+            { type: 'update', key: 'ada', value: 'offline', previous: 'online' },
+            { type: 'remove', key: 'grace', value: 'away' }
+        ]);
+        expect(Array.from(users.get())).toEqual([['ada', 'offline']]);
+    });
+
+    test('reports reset on set() and clear()', () => {
+        const users = signalMap([['ada', 1]]);
+        const received = [];
+        users.subscribeChanges((changes) => received.push(...changes));
+
+        users.set({ grace: 2 });
+        users.clear();
+
+        expect(received.map((change) => change.type)).toEqual(['reset', 'reset']);
+        expect(Array.from(received[0].value)).toEqual([['grace', 2]]);
+        expect(users.peek().size).toBe(0);
+    });
+
+    test('tracks key reads in computed values', () => {
+        const users = signalMap();
+        const adaOnline = computed(() => users.getKey('ada') === 'online');
+        const values = [];
+        adaOnline.subscribe((value) => values.push(value));
+
+        users.setKey('ada', 'online');
+        users.setKey('grace', 'online');
+        users.deleteKey('ada');
+
+        expect(values).toEqual([true, false]);
+        expect(users.has('grace')).toBe(true);
+    });
+
+    test('returns read-only snapshots', () => {
+        const users = signalMap({ ada: 1 });
+        const snapshot = users.get();
+
+        expect(() => snapshot.set('grace', 2)).toThrow('signalMap snapshots are read-only');
+        expect(() => snapshot.delete('ada')).toThrow('read-only');
+        expect(() => snapshot.clear()).toThrow('read-only');
+        expect(Array.from(users.get())).toEqual([['ada', 1]]);
+        expect(snapshot instanceof Map).toBe(true);
+    });
+});
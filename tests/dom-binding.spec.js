@@ -1,6 +1,8 @@
 import { hydrate } from '../src/hydrate.js';
 import { cleanup } from '../src/cleanup.js';
 import { signal } from '../src/signal.js';
+import { state } from '../src/state.js';
+import { batch } from '../src/zeneffect.js';
 
 describe('hydrate() marker contract', () => {
     const OVERLAY_ID = '__zenith_runtime_error_overlay';
@@ -144,6 +146,309 @@ describe('hydrate() marker contract', () => {
         expect(container.querySelector('p').textContent).toBe('3');
     });
 
+    test('updates state_index bindings that resolve to reactive values', () => {
+        container.innerHTML = '<p data-zx-e="0"></p><a data-zx-title="1">go</a>';
+        const profile = state({ name: 'Ada' });
+        let listener = null;
+        const custom = {
+            value: 'first',
+            get() {
+                return this.value;
+            },
+            subscribe(fn) {
+                listener = fn;
+                return () => {
+                    listener = null;
+                };
+            }
+        };
+
+        hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [
+                { marker_index: 0, state_index: 0 },
+                { marker_index: 1, state_index: 1 }
+            ],
+            markers: [
+                { index: 0, kind: 'text', selector: '[data-zx-e~="0"]' },
+                { index: 1, kind: 'attr', selector: '[data-zx-title~="1"]', attr: 'title' }
+            ],
+            events: [],
+            state_values: [profile.select((snapshot) => snapshot.name), custom],
+            signals: []
+        });
+
+        expect(container.querySelector('p').textContent).toBe('Ada');
+        expect(container.querySelector('a').getAttribute('title')).toBe('first');
+
+        profile.set({ name: 'Grace' });
+        custom.value = 'second';
+        listener('second');
+        expect(container.querySelector('p').textContent).toBe('Grace');
+        expect(container.querySelector('a').getAttribute('title')).toBe('second');
+
+        cleanup();
+        expect(listener).toBeNull();
+        profile.set({ name: 'Hopper' });
+        expect(container.querySelector('p').textContent).toBe('Grace');
+    });
+
+    test('defers marker re-renders until a batch completes', () => {
+        container.innerHTML = '<p data-zx-e="0"></p>';
+        const first = signal('Ada');
+        const last = signal('Lovelace');
+
+        hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [{ marker_index: 0, signal_indices: [0, 1], fn_index: 0 }],
+            markers: [{ index: 0, kind: 'text', selector: '[data-zx-e~="0"]' }],
+            events: [],
+            state_values: [first, last],
+            signals: [
+                { id: 0, kind: 'signal', state_index: 0 },
+                { id: 1, kind: 'signal', state_index: 1 }
+            ],
+            expr_fns: [({ signalMap }) => `${signalMap.get(0).get()} ${signalMap.get(1).get()}`]
+        });
+
+        batch(() => {
+            first.set('Grace');
+            last.set('Hopper');
+            expect(container.querySelector('p').textContent).toBe('Ada Lovelace');
+        });
+
+        expect(container.querySelector('p').textContent).toBe('Grace Hopper');
+    });
+
+    test('tracks signals an fn_index expression reads without declaring them', () => {
+        const previousDevFlag = globalThis.__ZENITH_RUNTIME_DEV__;
+        const originalConsoleWarn = console.warn;
+        const warnings = [];
+        globalThis.__ZENITH_RUNTIME_DEV__ = true;
+        console.warn = (...args) => warnings.push(args.join(' '));
+        container.innerHTML = '<p data-zx-e="0"></p>';
+        const showLast = signal(false);
+        const first = signal('Ada');
+        const last = signal('Lovelace');
+
+        try {
+            hydrate({
+                ir_version: 1,
+                root: container,
+                expressions: [{ marker_index: 0, signal_indices: [0], fn_index: 0 }],
+                markers: [{ index: 0, kind: 'text', selector: '[data-zx-e~="0"]' }],
+                events: [],
+                state_values: [showLast, first, last],
+                signals: [
+                    { id: 0, kind: 'signal', state_index: 0 },
+                    { id: 1, kind: 'signal', state_index: 1 },
+                    { id: 2, kind: 'signal', state_index: 2 }
+                ],
+                expr_fns: [({ signalMap }) => (signalMap.get(0).get()
+                    ? `${signalMap.get(1).get()} ${signalMap.get(2).get()}`
+                    : signalMap.get(1).get())]
+            });
+
+            first.set('Grace');
+            expect(container.querySelector('p').textContent).toBe('Grace');
+            showLast.set(true);
+            last.set('Hopper');
+            expect(container.querySelector('p').textContent).toBe('Grace Hopper');
+            expect(warnings).toEqual([
+                '[Zenith Runtime] marker 0 (fn_index 0) read signal 1 not declared in signal_indices [0]; tracking it automatically'
+            ]);
+
+            showLast.set(false);
+            last.set('Lovelace');
+            first.set('Ada');
+            expect(container.querySelector('p').textContent).toBe('Ada');
+        } finally {
+            console.warn = originalConsoleWarn;
+            globalThis.__ZENITH_RUNTIME_DEV__ = previousDevFlag;
+        }
+    });
+
+    test('tracks props sources without warning about signal_indices', () => {
+        const previousDevFlag = globalThis.__ZENITH_RUNTIME_DEV__;
+        const originalConsoleWarn = console.warn;
+        const warnings = [];
+        globalThis.__ZENITH_RUNTIME_DEV__ = true;
+        console.warn = (...args) => warnings.push(args);
+        container.innerHTML = '<p data-zx-e="0"></p>';
+        const count = signal(1);
+        const theme = signal('light');
+
+        try {
+            hydrate({
+                ir_version: 1,
+                root: container,
+                expressions: [{ marker_index: 0, signal_indices: [0], fn_index: 0 }],
+                markers: [{ index: 0, kind: 'text', selector: '[data-zx-e~="0"]' }],
+                events: [],
+                state_values: [count],
+                signals: [{ id: 0, kind: 'signal', state_index: 0 }],
+                props: { theme },
+                expr_fns: [({ signalMap, props }) => `${props.theme.get()}:${signalMap.get(0).get()}`]
+            });
+
+            theme.set('dark');
+            expect(container.querySelector('p').textContent).toBe('dark:1');
+            expect(warnings).toEqual([]);
+        } finally {
+            console.warn = originalConsoleWarn;
+            globalThis.__ZENITH_RUNTIME_DEV__ = previousDevFlag;
+        }
+    });
+
+    test('does not warn about undeclared fn_index reads in production mode', () => {
+        const previousDevFlag = globalThis.__ZENITH_RUNTIME_DEV__;
+        const originalConsoleWarn = console.warn;
+        const warnings = [];
+        globalThis.__ZENITH_RUNTIME_DEV__ = false;
+        console.warn = (...args) => warnings.push(args);
+        container.innerHTML = '<p data-zx-e="0"></p>';
+        const count = signal(1);
+
+        try {
+            hydrate({
+                ir_version: 1,
+                root: container,
+                expressions: [{ marker_index: 0, fn_index: 0 }],
+                markers: [{ index: 0, kind: 'text', selector: '[data-zx-e~="0"]' }],
+                events: [],
+                state_values: [count],
+                signals: [{ id: 0, kind: 'signal', state_index: 0 }],
+                expr_fns: [({ signalMap }) => signalMap.get(0).get() * 2]
+            });
+
+            count.set(4);
+            expect(container.querySelector('p').textContent).toBe('8');
+            expect(warnings).toEqual([]);
+        } finally {
+            console.warn = originalConsoleWarn;
+            globalThis.__ZENITH_RUNTIME_DEV__ = previousDevFlag;
+        }
+    });
+
+    test('re-renders a multi-signal marker once per propagation', () => {
+        container.innerHTML = '<p data-zx-e="0"></p><span data-zx-e="1"></span>';
+        const first = signal('Ada');
+        const last = signal('Lovelace');
+        const renders = [];
+
+        hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [
+                { marker_index: 0, signal_indices: [0, 1], fn_index: 0 },
+                { marker_index: 1, signal_indices: [1], fn_index: 1 }
+            ],
+            markers: [
+                { index: 0, kind: 'text', selector: '[data-zx-e~="0"]' },
+                { index: 1, kind: 'text', selector: '[data-zx-e~="1"]' }
+            ],
+            events: [],
+            state_values: [first, last],
+            signals: [
+                { id: 0, kind: 'signal', state_index: 0 },
+                { id: 1, kind: 'signal', state_index: 1 }
+            ],
+            expr_fns: [
+                ({ signalMap }) => {
+                    renders.push(0);
+                    return `${signalMap.get(0).get()} ${signalMap.get(1).get()}`;
+                },
+                ({ signalMap }) => {
+                    renders.push(1);
+                    return signalMap.get(1).get().length;
+                }
+            ]
+        });
+
+        renders.length = 0;
+        batch(() => {
+            last.set('Hopper');
+            first.set('Grace');
+        });
+
+        expect(renders).toEqual([0, 1]);
+        expect(container.querySelector('p').textContent).toBe('Grace Hopper');
+        expect(container.querySelector('span').textContent).toBe('6');
+    });
+
+    test('stops a marker expression that writes the signal it reads', () => {
+        container.innerHTML = '<p data-zx-e="0"></p>';
+        const count = signal(0);
+        const originalConsoleError = console.error;
+        console.error = () => { };
+
+        try {
+            hydrate({
+                ir_version: 1,
+                root: container,
+                expressions: [{ marker_index: 0, signal_index: 0, fn_index: 0 }],
+                markers: [{ index: 0, kind: 'text', selector: '[data-zx-e~="0"]' }],
+                events: [],
+                state_values: [count],
+                signals: [{ id: 0, kind: 'signal', state_index: 0 }],
+                expr_fns: [({ signalMap }) => {
+                    const value = signalMap.get(0).get();
+                    if (value > 0) {
+                        signalMap.get(0).set(value + 1);
+                    }
+                    return value;
+                }]
+            });
+
+            let thrown = null;
+            try {
+                count.set(1);
+            } catch (error) {
+                thrown = error;
+            }
+
+            expect(getRuntimeErrorPayload(thrown)).toMatchObject({
+                phase: 'render',
+                code: 'INFINITE_UPDATE_LOOP',
+                marker: { type: 'data-zx-e', id: 0 },
+                path: 'marker[0]'
+            });
+            expect(getRuntimeErrorPayload(thrown).message).toContain(`#${count.__zenith_id}`);
+        } finally {
+            console.error = originalConsoleError;
+        }
+    });
+
+    test('binds state.select() slices through the signals table', () => {
+        container.innerHTML = '<p data-zx-e="0"></p>';
+        const store = state({ user: { name: 'Ada' }, cart: 0 });
+        const userName = store.select((snapshot) => snapshot.user.name);
+        const renders = [];
+
+        hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [{ marker_index: 0, signal_indices: [0], fn_index: 0 }],
+            markers: [{ index: 0, kind: 'text', selector: '[data-zx-e~="0"]' }],
+            events: [],
+            state_values: [userName],
+            signals: [{ id: 0, kind: 'signal', state_index: 0 }],
+            expr_fns: [({ signalMap }) => {
+                const name = signalMap.get(0).get();
+                renders.push(name);
+                return name;
+            }]
+        });
+
+        store.set({ cart: 1 });
+        store.set({ user: { name: 'Grace' } });
+
+        expect(renders).toEqual(['Ada', 'Grace']);
+        expect(container.querySelector('p').textContent).toBe('Grace');
+    });
+
     test('renders boolean true as empty output', () => {
         container.innerHTML = '<p data-zx-e="0"></p>';
 
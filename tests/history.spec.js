@@ -0,0 +1,116 @@
+import { state } from '../src/state.js';
+import { history } from '../src/history.js';
+import { batch } from '../src/zeneffect.js';
+
+describe('history()', () => {
+    test('undoes and redoes recorded snapshots', () => {
+        const store = state({ text: '' });
+        const edits = history(store);
+
+        store.set({ text: 'a' });
+        store.set({ text: 'ab' });
+
+        expect(edits.undo()).toBe(true);
+        expect(store.get().text).toBe('a');
+        expect(edits.undo()).toBe(true);
+        expect(store.get().text).toBe('');
+        expect(edits.undo()).toBe(false);
+
+        expect(edits.redo()).toBe(true);
+        expect(store.get().text).toBe('a');
+        expect(edits.redo()).toBe(true);
+        expect(store.get().text).toBe('ab');
+        expect(edits.redo()).toBe(false);
+    });
+
+    test('exposes canUndo/canRedo as subscribable signals', () => {
+        const store = state({ count: 0 });
+        const edits = history(store);
+        const canUndo = [];
+        const canRedo = [];
+        edits.canUndo.subscribe((value) => canUndo.push(value));
+        edits.canRedo.subscribe((value) => canRedo.push(value));
+
+        expect(edits.canUndo.get()).toBe(false);
+        store.set({ count: 1 });
+        edits.undo();
+        edits.redo();
+
+        expect(canUndo).toEqual([true, false, true]);
+        expect(canRedo).toEqual([true, false]);
+    });
+
+    test('a new write clears the redo stack', () => {
+        const store = state({ count: 0 });
+        const edits = history(store);
+
+        store.set({ count: 1 });
+        edits.undo();
+        store.set({ count: 2 });
+
+        expect(edits.canRedo.get()).toBe(false);
+        expect(edits.redo()).toBe(false);
+        edits.undo();
+        expect(store.get().count).toBe(0);
+    });
+
+    test('drops the oldest entries past the limit', () => {
+        const store = state({ count: 0 });
+        const edits = history(store, { limit: 2 });
+
+        store.set({ count: 1 });
+        store.set({ count: 2 });
+        store.set({ count: 3 });
+
+        edits.undo();
+        edits.undo();
+        expect(edits.undo()).toBe(false);
+        expect(store.get().count).toBe(1);
+    });
+
+    test('group() records several sets as one entry', () => {
+        const store = state({ x: 0, y: 0 });
+        const edits = history(store);
+        const notifications = [];
+        store.subscribe((next) => notifications.push(next));
+
+        edits.group(() => {
+            store.set({ x: 1 });
+            store.set({ y: 1 });
+        });
+
+        expect(notifications).toHaveLength(1);
+        edits.undo();
+        expect(store.get()).toEqual({ x: 0, y: 0 });
+    });
+
+    test('writes inside an outer batch are recorded once', () => {
+        const store = state({ x: 0 });
+        const edits = history(store);
+
+        batch(() => {
+            store.set({ x: 1 });
+            store.set({ x: 2 });
+        });
+
+        edits.undo();
+        expect(store.get().x).toBe(0);
+        expect(edits.canUndo.get()).toBe(false);
+    });
+
+    test('dispose() stops recording', () => {
+        const store = state({ count: 0 });
+        const edits = history(store);
+
+        edits.dispose();
+        store.set({ count: 1 });
+
+        expect(edits.undo()).toBe(false);
+        expect(store.get().count).toBe(1);
+    });
+
+    test('validates its arguments', () => {
+        expect(() => history({})).toThrow('history(store) requires a state() store');
+        expect(() => history(state({}), { limit: 0 })).toThrow('options.limit must be a positive integer');
+    });
+});
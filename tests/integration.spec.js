@@ -5,15 +5,40 @@ import * as runtimeApi from '../src/index.js';
 import { hydrate } from '../src/hydrate.js';
 import { cleanup } from '../src/cleanup.js';
 import { zenOn, zenWindow } from '../src/index.js';
+import { zenMount } from '../src/zeneffect.js';
 
 describe('runtime API lock', () => {
     test('exports explicit hydration/reactivity functions', () => {
         const keys = Object.keys(runtimeApi).sort();
         expect(keys).toEqual([
+            'activateSideEffectScope',
+            'batch',
             'collectRefs',
+            'computed',
+            'createSideEffectScope',
+            'disposeSideEffectScope',
+            'fromEvent',
+            'fromObservable',
+            'fromPromise',
+            'fromTC39Signal',
+            'history',
             'hydrate',
+            'persisted',
+            'resource',
+            'runInScope',
+            'serializeState',
+            'setMaxUpdateDepth',
+            'shallowEqual',
+            'shared',
             'signal',
+            'signalArray',
+            'signalMap',
             'state',
+            'toObservable',
+            'toTC39Signal',
+            'transaction',
+            'untrack',
+            'watch',
             'zenDocument',
             'zenOn',
             'zenResize',
@@ -470,6 +495,223 @@ describe('hydrate integration contract', () => {
         expect(resizeCount).toBe(countBefore);
     });
 
+    test('routes component mount and cleanup failures to runtime.onError with the scope label', () => {
+        container.innerHTML = '<section data-zx-c="0"></section>';
+        const failures = [];
+
+        const unmount = hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [],
+            markers: [],
+            events: [],
+            state_values: [],
+            signals: [],
+            components: [{
+                instance: 'Card',
+                selector: '[data-zx-c="0"]',
+                props: [],
+                create: (host, _props, runtime) => {
+                    runtime.onError((error, info) => {
+                        failures.push({ message: error.message, ...info });
+                        host.textContent = 'fallback';
+                    });
+                    return {
+                        mount() {
+                            runtime.zenMount((ctx) => {
+                                ctx.cleanup(() => {
+                                    throw new Error('cleanup broke');
+                                });
+                                throw new Error('mount broke');
+                            });
+                        },
+                        destroy() { },
+                        bindings: Object.freeze({})
+                    };
+                }
+            }]
+        });
+
+        expect(container.querySelector('section').textContent).toBe('fallback');
+        expect(failures).toEqual([{ message: 'mount broke', scope: 'Card:0', stage: 'mount' }]);
+
+        unmount();
+        expect(failures[1]).toEqual({ message: 'cleanup broke', scope: 'Card:0', stage: 'cleanup' });
+    });
+
+    test('attaches helpers called during create/mount to the component scope', () => {
+        container.innerHTML = '<section data-zx-c="0"></section>';
+        const events = [];
+
+        const unmount = hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [],
+            markers: [],
+            events: [],
+            state_values: [],
+            signals: [],
+            components: [{
+                instance: 'Widget',
+                selector: '[data-zx-c="0"]',
+                props: [],
+                create: (_host, _props, runtime) => {
+                    zenMount(() => {
+                        events.push('mounted');
+                        return () => events.push('unmounted');
+                    });
+                    expect(runtime.scope.label).toBe('Widget:0');
+                    expect(runtime.signalMap({ ada: 1 }).getKey('ada')).toBe(1);
+                    return {
+                        mount() { },
+                        destroy() { },
+                        bindings: Object.freeze({})
+                    };
+                }
+            }]
+        });
+
+        expect(events).toEqual(['mounted']);
+        unmount();
+        expect(events).toEqual(['mounted', 'unmounted']);
+    });
+
+    test('resolves inject() through the nearest providing ancestor host', () => {
+        container.innerHTML = [
+            '<main data-zx-c="app">',
+            '<section data-zx-c="panel"><span data-zx-c="badge"></span></section>',
+            '</main>',
+            '<aside data-zx-c="badge"></aside>'
+        ].join('');
+        const appTheme = runtimeApi.signal('light');
+        const seen = [];
+        const component = (instance, create) => ({
+            instance,
+            selector: `[data-zx-c="${instance}"]`,
+            props: [],
+            create: (host, _props, runtime) => {
+                create(host, runtime);
+                return { mount() { }, destroy() { }, bindings: Object.freeze({}) };
+            }
+        });
+
+        hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [],
+            markers: [],
+            events: [],
+            state_values: [],
+            signals: [],
+            components: [
+                component('app', (_host, runtime) => {
+                    runtime.provide('theme', appTheme);
+                    runtime.provide('locale', 'en');
+                }),
+                component('panel', (_host, runtime) => {
+                    runtime.provide('theme', runtime.signal('dark'));
+                }),
+                component('badge', (host, runtime) => {
+                    seen.push([
+                        host.tagName.toLowerCase(),
+                        runtime.inject('theme', null)?.get() ?? null,
+                        runtime.inject('locale', 'fallback')
+                    ]);
+                })
+            ]
+        });
+
+        expect(seen).toEqual([
+            ['span', 'dark', 'en'],
+            ['aside', null, 'fallback']
+        ]);
+    });
+
+    test('falls back to the parent scope chain for hosts outside the provider subtree', () => {
+        container.innerHTML = '<main data-zx-c="app"></main><aside data-zx-c="island"></aside>';
+        const island = container.querySelector('aside');
+        let injected = null;
+        const component = (instance, create) => ({
+            instance,
+            selector: `[data-zx-c="${instance}"]`,
+            props: [],
+            create: (host, _props, runtime) => ({
+                mount() {
+                    create(host, runtime);
+                },
+                destroy() { },
+                bindings: Object.freeze({})
+            })
+        });
+
+        hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [],
+            markers: [],
+            events: [],
+            state_values: [],
+            signals: [],
+            components: [component('app', (_host, runtime) => {
+                runtime.provide('theme', 'dark');
+                // Hydrates a sibling island from inside the app's scope.
+                hydrate({
+                    ir_version: 1,
+                    root: island.parentNode,
+                    expressions: [],
+                    markers: [],
+                    events: [],
+                    state_values: [],
+                    signals: [],
+                    components: [component('island', (_islandHost, islandRuntime) => {
+                        injected = islandRuntime.inject('theme');
+                    })]
+                });
+            })]
+        });
+
+        expect(injected).toBe('dark');
+    });
+
+    test('requires a provider when inject() has no fallback and disposes provided values with the scope', () => {
+        container.innerHTML = '<main data-zx-c="app"><span data-zx-c="child"></span></main>';
+        const disposed = [];
+        const store = { value: 'auth', dispose: () => disposed.push('store') };
+
+        const unmount = hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [],
+            markers: [],
+            events: [],
+            state_values: [],
+            signals: [],
+            components: [{
+                instance: 'App',
+                selector: '[data-zx-c="app"]',
+                props: [],
+                create: (_host, _props, runtime) => {
+                    runtime.provide('auth', store);
+                    expect(() => runtime.provide('auth', store)).toThrow('App:0 already provides "auth"');
+                    expect(() => runtime.inject('auth')).toThrow('App:0 injects "auth" but no ancestor provides it');
+                    return { mount() { }, destroy() { }, bindings: Object.freeze({}) };
+                }
+            }, {
+                instance: 'Child',
+                selector: '[data-zx-c="child"]',
+                props: [],
+                create: (_host, _props, runtime) => {
+                    expect(runtime.inject('auth')).toBe(store);
+                    return { mount() { }, destroy() { }, bindings: Object.freeze({}) };
+                }
+            }]
+        });
+
+        expect(disposed).toEqual([]);
+        unmount();
+        expect(disposed).toEqual(['store']);
+    });
+
     test('keeps nested ref-like component prop values writable for mount wiring', () => {
         container.innerHTML = '<Card data-zx-c="c0"></Card>';
         const hostRef = { current: null };
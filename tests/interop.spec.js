@@ -0,0 +1,143 @@
+import { signal } from '../src/signal.js';
+import { computed } from '../src/computed.js';
+import { fromEvent, fromObservable, fromPromise, toObservable } from '../src/interop.js';
+import {
+    activateSideEffectScope,
+    createSideEffectScope,
+    disposeSideEffectScope
+} from '../src/zeneffect.js';
+
+function createSubject() {
+    const observers = new Set();
+    return {
+        observers,
+        subscribe(observer) {
+            observers.add(observer);
+            return {
+                unsubscribe() {
+                    observers.delete(observer);
+                }
+            };
+        },
+        next(value) {
+            for (const observer of [...observers]) observer.next(value);
+        },
+        error(error) {
+            for (const observer of [...observers]) observer.error(error);
+        }
+    };
+}
+
+describe('fromObservable()', () => {
+    test('mirrors emitted values and unsubscribes on dispose', () => {
+        const subject = createSubject();
+        const latest = fromObservable(subject, 'initial');
+        const doubled = computed(() => `${latest.get()}!`);
+
+        expect(latest.get()).toBe('initial');
+        subject.next('a');
+        expect(doubled.get()).toBe('a!');
+        expect(Number.isInteger(latest.__zenith_id)).toBe(true);
+
+        latest.dispose();
+        expect(subject.observers.size).toBe(0);
+        subject.next('b');
+        expect(latest.get()).toBe('a');
+    });
+
+    test('accepts Symbol.observable interop objects and routes errors to the scope', () => {
+        const subject = createSubject();
+        const interop = { ['@@observable']: () => subject };
+        if (typeof Symbol.observable === 'symbol') {
+            interop[Symbol.observable] = () => subject;
+        }
+        const failures = [];
+        const scope = createSideEffectScope('Feed:0', {
+            onError: (error, info) => failures.push([error.message, info.scope])
+        });
+        activateSideEffectScope(scope);
+
+        fromObservable(interop, 0, scope);
+        subject.error(new Error('stream broke'));
+        expect(failures).toEqual([['stream broke', 'Feed:0']]);
+
+        disposeSideEffectScope(scope);
+        expect(subject.observers.size).toBe(0);
+    });
+});
+
+describe('toObservable()', () => {
+    test('emits the current value, then changes, until unsubscribed', () => {
+        const count = signal(1);
+        const observable = toObservable(count);
+        const seen = [];
+
+        const subscription = observable.subscribe({ next: (value) => seen.push(value) });
+        count.set(2);
+        subscription.unsubscribe();
+        count.set(3);
+
+        expect(seen).toEqual([1, 2]);
+        expect(subscription.closed).toBe(true);
+        const interopKey = typeof Symbol.observable === 'symbol' ? Symbol.observable : '@@observable';
+        expect(observable[interopKey]()).toBe(observable);
+    });
+
+    test('round-trips through fromObservable()', () => {
+        const count = signal(5);
+        const mirror = fromObservable(toObservable(count));
+
+        expect(mirror.get()).toBe(5);
+        count.set(6);
+        expect(mirror.get()).toBe(6);
+        mirror.dispose();
+    });
+});
+
+describe('fromEvent()', () => {
+    test('tracks the mapped latest event and stops with its scope', () => {
+        const button = document.createElement('button');
+        const scope = createSideEffectScope('Toolbar:0');
+        const clicks = fromEvent(button, 'click', (event) => event.detail, scope);
+
+        button.dispatchEvent(new MouseEvent('click', { detail: 2 }));
+        expect(clicks.get()).toBe(2);
+
+        disposeSideEffectScope(scope);
+        button.dispatchEvent(new MouseEvent('click', { detail: 3 }));
+        expect(clicks.get()).toBe(2);
+    });
+
+    test('is a no-op without a target', () => {
+        const resize = fromEvent(null, 'resize');
+        expect(resize.get()).toBeUndefined();
+        resize.dispose();
+    });
+});
+
+describe('fromPromise()', () => {
+    test('reports pending, then fulfilled', async () => {
+        const user = fromPromise(Promise.resolve({ name: 'Ada' }));
+        expect(user.get()).toEqual({ status: 'pending', value: undefined, error: undefined });
+
+        await Promise.resolve();
+        expect(user.get()).toEqual({ status: 'fulfilled', value: { name: 'Ada' }, error: undefined });
+    });
+
+    test('reports rejections and ignores settlement after dispose', async () => {
+        const failure = new Error('offline');
+        const rejected = fromPromise(Promise.reject(failure));
+        await Promise.resolve();
+        expect(rejected.get().status).toBe('rejected');
+        expect(rejected.get().error).toBe(failure);
+
+        let resolve;
+        const late = fromPromise(new Promise((res) => {
+            resolve = res;
+        }));
+        late.dispose();
+        resolve('too late');
+        await Promise.resolve();
+        expect(late.get().status).toBe('pending');
+    });
+});
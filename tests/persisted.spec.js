@@ -0,0 +1,137 @@
+import { signal } from '../src/signal.js';
+import { state } from '../src/state.js';
+import { persisted } from '../src/persisted.js';
+
+describe('persisted()', () => {
+    let originalConsoleError;
+    let reported;
+
+    beforeEach(() => {
+        window.localStorage.clear();
+        window.sessionStorage.clear();
+        reported = [];
+        originalConsoleError = console.error;
+        console.error = (...args) => reported.push(args);
+    });
+
+    afterEach(() => {
+        console.error = originalConsoleError;
+    });
+
+    test('restores the stored value and writes changes back', () => {
+        window.localStorage.setItem('theme', JSON.stringify({ version: 0, value: 'dark' }));
+        const theme = signal('light');
+
+        const dispose = persisted(theme, { key: 'theme', throttleMs: 0 });
+        expect(theme.get()).toBe('dark');
+
+        theme.set('contrast');
+        expect(JSON.parse(window.localStorage.getItem('theme'))).toEqual({ version: 0, value: 'contrast' });
+
+        dispose();
+        theme.set('light');
+        expect(JSON.parse(window.localStorage.getItem('theme')).value).toBe('contrast');
+    });
+
+    test('merges stored state into the store and uses sessionStorage when asked', () => {
+        window.sessionStorage.setItem('prefs', JSON.stringify({ version: 0, value: { fontSize: 18 } }));
+        const prefs = state({ fontSize: 14, density: 'cozy' });
+
+        const dispose = persisted(prefs, { key: 'prefs', storage: 'session', throttleMs: 0 });
+
+        expect(prefs.get()).toEqual({ fontSize: 18, density: 'cozy' });
+        expect(window.localStorage.getItem('prefs')).toBeNull();
+        dispose();
+    });
+
+    test('coalesces writes and flushes the last change on dispose', async () => {
+        const count = signal(0);
+        const dispose = persisted(count, { key: 'count', throttleMs: 20 });
+
+        count.set(1);
+        count.set(2);
+        expect(window.localStorage.getItem('count')).toBeNull();
+
+        await new Promise((resolve) => setTimeout(resolve, 40));
+        expect(JSON.parse(window.localStorage.getItem('count')).value).toBe(2);
+
+        count.set(3);
+        dispose();
+        expect(JSON.parse(window.localStorage.getItem('count')).value).toBe(3);
+    });
+
+    test('migrates values stored under an older version', () => {
+        window.localStorage.setItem('user', JSON.stringify({ version: 1, value: { name: 'Ada Lovelace' } }));
+        const user = state({ first: '', last: '' });
+
+        const dispose = persisted(user, {
+            key: 'user',
+            version: 2,
+            migrate: (value, fromVersion) => {
+                expect(fromVersion).toBe(1);
+                const [first, last] = value.name.split(' ');
+                return { first, last };
+            }
+        });
+
+        expect(user.get()).toEqual({ first: 'Ada', last: 'Lovelace' });
+        dispose();
+    });
+
+    test('ignores values from another version when no migrate is given', () => {
+        window.localStorage.setItem('count', JSON.stringify({ version: 1, value: 5 }));
+        const count = signal(0);
+
+        const dispose = persisted(count, { key: 'count', version: 2 });
+
+        expect(count.get()).toBe(0);
+        expect(reported).toHaveLength(0);
+        dispose();
+    });
+
+    test('reports corrupt JSON through diagnostics instead of throwing', () => {
+        window.localStorage.setItem('count', '{not json');
+        const count = signal(7);
+
+        const dispose = persisted(count, { key: 'count' });
+
+        expect(count.get()).toBe(7);
+        expect(reported).toHaveLength(1);
+        expect(reported[0][1]).toMatchObject({
+            kind: 'ZENITH_RUNTIME_ERROR',
+            phase: 'storage',
+            code: 'STORAGE_READ_FAILED',
+            path: 'persisted:count'
+        });
+        dispose();
+    });
+
+    test('reports quota failures through diagnostics instead of throwing', () => {
+        const storageProto = Object.getPrototypeOf(window.localStorage);
+        const originalSetItem = storageProto.setItem;
+        storageProto.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+
+        try {
+            const count = signal(0);
+            const dispose = persisted(count, { key: 'count', throttleMs: 0 });
+
+            expect(() => count.set(1)).not.toThrow();
+            expect(count.get()).toBe(1);
+            expect(reported).toHaveLength(1);
+            expect(reported[0][1].code).toBe('STORAGE_WRITE_FAILED');
+            dispose();
+        } finally {
+            storageProto.setItem = originalSetItem;
+        }
+    });
+
+    test('validates its options', () => {
+        const count = signal(0);
+        expect(() => persisted(count)).toThrow('requires an options object');
+        expect(() => persisted(count, { key: '' })).toThrow('options.key must be a non-empty string');
+        expect(() => persisted(count, { key: 'k', storage: 'cookie' })).toThrow('options.storage must be "local" or "session"');
+        expect(() => persisted({}, { key: 'k' })).toThrow('requires a signal() or state()');
+    });
+});
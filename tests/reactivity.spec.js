@@ -1,6 +1,21 @@
 import { signal } from '../src/signal.js';
-import { state } from '../src/state.js';
-import { zeneffect } from '../src/zeneffect.js';
+import { state, shallowEqual } from '../src/state.js';
+import { computed } from '../src/computed.js';
+import { ref } from '../src/ref.js';
+import {
+    zeneffect,
+    zenEffect,
+    zenMount,
+    batch,
+    transaction,
+    untrack,
+    createSideEffectScope,
+    activateSideEffectScope,
+    disposeSideEffectScope,
+    runInScope,
+    setMaxUpdateDepth,
+    watch
+} from '../src/zeneffect.js';
 
 describe('signal()', () => {
     test('uses explicit get/set API', () => {
@@ -63,4 +78,1319 @@ describe('zeneffect()', () => {
 
         expect(observed).toEqual([0, 1, 2]);
     });
+
+    test('only tracks the listed dependencies', () => {
+        const count = signal(0);
+        const label = signal('a');
+        const observed = [];
+
+        const dispose = zeneffect([count], () => {
+            observed.push(`${label.get()}${count.get()}`);
+        });
+
+        label.set('b');
+        count.set(1);
+        dispose();
+
+        expect(observed).toEqual(['a0', 'b1']);
+    });
+
+    test('attaches to its scope, waits for activation and runs cleanups', () => {
+        const count = signal(0);
+        const events = [];
+        const scope = createSideEffectScope('Counter:0');
+
+        zeneffect([count], (ctx) => {
+            const value = count.get();
+            ctx.cleanup(() => events.push(`cleanup ${value}`));
+            events.push(`run ${value}`);
+        }, scope);
+
+        expect(events).toEqual([]);
+        activateSideEffectScope(scope);
+        count.set(1);
+        disposeSideEffectScope(scope);
+        count.set(2);
+
+        expect(events).toEqual(['run 0', 'cleanup 0', 'run 1', 'cleanup 1']);
+    });
+
+    test('honors scheduler options', async () => {
+        const query = signal('');
+        const searches = [];
+        const scope = createSideEffectScope('Search:0');
+        activateSideEffectScope(scope);
+
+        zeneffect([query], () => {
+            searches.push(query.get());
+            return () => searches.push('aborted');
+        }, { debounceMs: 5 }, scope);
+
+        query.set('z');
+        query.set('ze');
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        disposeSideEffectScope(scope);
+
+        expect(searches).toEqual(['ze', 'aborted']);
+    });
+});
+
+describe('watch()', () => {
+    test('passes next and previous values for signals and selectors', () => {
+        const session = state({ user: 'ada', theme: 'light' });
+        const user = session.select((snapshot) => snapshot.user);
+        const transitions = [];
+
+        const stop = watch(user, (next, prev) => {
+            transitions.push([prev, next]);
+        }, { flush: 'sync' });
+
+        session.set({ user: 'ada', theme: 'dark' });
+        session.set({ user: null, theme: 'dark' });
+        stop();
+        session.set({ user: 'grace', theme: 'dark' });
+
+        expect(transitions).toEqual([['ada', null]]);
+    });
+
+    test('watches arrays of sources and getters, with immediate and once', () => {
+        const first = signal('Ada');
+        const last = signal('Lovelace');
+        const calls = [];
+
+        watch([first, () => last.get().toUpperCase()], (next, prev) => {
+            calls.push(['pair', next, prev]);
+        }, { flush: 'sync', immediate: true });
+        watch(first, (next) => {
+            calls.push(['once', next]);
+        }, { flush: 'sync', once: true });
+
+        batch(() => {
+            first.set('Grace');
+            last.set('Hopper');
+        });
+        first.set('Ada');
+
+        expect(calls).toEqual([
+            ['pair', ['Ada', 'LOVELACE'], undefined],
+            ['pair', ['Grace', 'HOPPER'], ['Ada', 'LOVELACE']],
+            ['once', 'Grace'],
+            ['pair', ['Ada', 'HOPPER'], ['Grace', 'HOPPER']]
+        ]);
+    });
+
+    test('stops after the first run with immediate, once and sync flush', () => {
+        const count = signal(0);
+        const calls = [];
+
+        watch(count, (next, prev) => {
+            calls.push([next, prev]);
+        }, { flush: 'sync', immediate: true, once: true });
+        count.set(1);
+
+        expect(calls).toEqual([[0, undefined]]);
+    });
+
+    test('skips values that options.equals considers unchanged', () => {
+        const point = signal({ x: 1, y: 1 });
+        const seen = [];
+
+        watch(point, (next) => seen.push(next.x), {
+            flush: 'sync',
+            equals: (left, right) => left.x === right.x
+        });
+
+        point.set({ x: 1, y: 2 });
+        point.set({ x: 2, y: 2 });
+
+        expect(seen).toEqual([2]);
+    });
+
+    test('counts changes made before the first scheduled run', async () => {
+        const loggedIn = signal(true);
+        const transitions = [];
+
+        watch(loggedIn, (next, prev) => transitions.push(`${prev}->${next}`));
+        loggedIn.set(false);
+        await Promise.resolve();
+
+        expect(transitions).toEqual(['true->false']);
+    });
+
+    test('runs callback cleanups before the next call and with its scope', () => {
+        const count = signal(0);
+        const events = [];
+        const scope = createSideEffectScope('Watcher:0');
+        activateSideEffectScope(scope);
+
+        watch(count, (next, _prev, ctx) => {
+            ctx.cleanup(() => events.push(`cleanup ${next}`));
+            events.push(`call ${next}`);
+        }, { flush: 'sync' }, scope);
+
+        count.set(1);
+        count.set(2);
+        disposeSideEffectScope(scope);
+        count.set(3);
+
+        expect(events).toEqual(['call 1', 'cleanup 1', 'call 2', 'cleanup 2']);
+        expect(() => watch({}, () => { })).toThrow('watch(source) must be a signal, state, selector or getter function');
+    });
+});
+
+describe('computed()', () => {
+    test('evaluates lazily and caches until a dependency changes', () => {
+        const count = signal(1);
+        let runs = 0;
+        const doubled = computed(() => {
+            runs += 1;
+            return count.get() * 2;
+        });
+
+        expect(runs).toBe(0);
+        expect(doubled.get()).toBe(2);
+        expect(doubled.get()).toBe(2);
+        expect(runs).toBe(1);
+
+        count.set(2);
+        expect(doubled.get()).toBe(4);
+        expect(runs).toBe(2);
+    });
+
+    test('notifies subscribers only when the derived value changes', () => {
+        const count = signal(1);
+        const parity = computed(() => (count.get() % 2 === 0 ? 'even' : 'odd'));
+        const calls = [];
+        const unsubscribe = parity.subscribe((value) => calls.push(value));
+
+        count.set(3);
+        count.set(4);
+        count.set(6);
+        count.set(7);
+        unsubscribe();
+        count.set(8);
+
+        expect(calls).toEqual(['even', 'odd']);
+    });
+
+    test('releases dependency subscriptions when the last subscriber leaves', () => {
+        const count = signal(0);
+        const originalSubscribe = count.subscribe.bind(count);
+        let active = 0;
+        count.subscribe = (fn) => {
+            active += 1;
+            const unsubscribe = originalSubscribe(fn);
+            return () => {
+                active -= 1;
+                unsubscribe();
+            };
+        };
+
+        const label = computed(() => `count:${count.get()}`);
+        const unsubscribe = label.subscribe(() => { });
+        expect(active).toBe(1);
+
+        unsubscribe();
+        expect(active).toBe(0);
+        expect(label.get()).toBe('count:0');
+    });
+
+    test('holds no dependency subscription when only read through get() and peek()', () => {
+        const count = signal(1);
+        const originalSubscribe = count.subscribe.bind(count);
+        let active = 0;
+        count.subscribe = (fn) => {
+            active += 1;
+            const unsubscribe = originalSubscribe(fn);
+            return () => {
+                active -= 1;
+                unsubscribe();
+            };
+        };
+        let runs = 0;
+        const doubled = computed(() => {
+            runs += 1;
+            return count.get() * 2;
+        });
+        const label = computed(() => `doubled:${doubled.get()}`);
+
+        expect(label.get()).toBe('doubled:2');
+        expect(label.peek()).toBe('doubled:2');
+        expect(active).toBe(0);
+        expect(runs).toBe(1);
+
+        count.set(5);
+        expect(label.get()).toBe('doubled:10');
+        expect(active).toBe(0);
+        expect(runs).toBe(2);
+
+        const calls = [];
+        const unsubscribe = label.subscribe((value) => calls.push(value));
+        expect(active).toBe(1);
+        count.set(6);
+        unsubscribe();
+
+        expect(calls).toEqual(['doubled:12']);
+        expect(active).toBe(0);
+        expect(runs).toBe(3);
+    });
+
+    test('is tracked by zenEffect like a signal', async () => {
+        const first = signal('Ada');
+        const last = signal('Lovelace');
+        const full = computed(() => `${first.get()} ${last.get()}`);
+        const observed = [];
+
+        const dispose = zenEffect(() => {
+            observed.push(full.get());
+        });
+
+        await Promise.resolve();
+        last.set('Byron');
+        await Promise.resolve();
+        dispose();
+        first.set('Grace');
+        await Promise.resolve();
+
+        expect(observed).toEqual(['Ada Lovelace', 'Ada Byron']);
+    });
+
+    test('rejects circular dependencies', () => {
+        let self = null;
+        self = computed(() => self.get());
+        expect(() => self.get()).toThrow('circular dependency');
+    });
+});
+
+describe('batch()', () => {
+    test('defers notifications until the outermost batch completes', () => {
+        const first = signal('a');
+        const store = state({ count: 0 });
+        const calls = [];
+        first.subscribe((value) => calls.push(`first:${value}`));
+        store.subscribe((value) => calls.push(`store:${value.count}`));
+
+        const result = batch(() => {
+            first.set('b');
+            store.set({ count: 1 });
+            batch(() => {
+                first.set('c');
+                store.set({ count: 2 });
+            });
+            expect(calls).toEqual([]);
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(calls).toEqual(['first:c', 'store:2']);
+    });
+
+    test('flushes subscribers once in reactive-id order', () => {
+        const late = signal(0);
+        const early = signal(0);
+        const order = [];
+        early.subscribe(() => order.push('early'));
+        late.subscribe(() => order.push('late'));
+
+        batch(() => {
+            early.set(1);
+            late.set(1);
+            late.set(2);
+        });
+
+        expect(order).toEqual(['late', 'early']);
+    });
+
+    test('skips subscribers removed before the flush', () => {
+        const count = signal(0);
+        const calls = [];
+        const unsubscribe = count.subscribe((value) => calls.push(value));
+
+        batch(() => {
+            count.set(1);
+            unsubscribe();
+        });
+
+        expect(calls).toEqual([]);
+    });
+
+    test('flushes even when the batch callback throws', () => {
+        const count = signal(0);
+        const calls = [];
+        count.subscribe((value) => calls.push(value));
+
+        expect(() => batch(() => {
+            count.set(1);
+            throw new Error('boom');
+        })).toThrow('boom');
+        expect(calls).toEqual([1]);
+    });
+});
+
+describe('transaction()', () => {
+    test('defers writes until the first await, then releases the batch', async () => {
+        const count = signal(0);
+        const calls = [];
+        count.subscribe((value) => calls.push(value));
+
+        const pending = transaction(async () => {
+            count.set(1);
+            count.set(2);
+            expect(calls).toEqual([]);
+            await Promise.resolve();
+            count.set(3);
+            expect(calls).toEqual([2, 3]);
+            return count.get();
+        });
+
+        await expect(pending).resolves.toBe(3);
+        expect(calls).toEqual([2, 3]);
+    });
+
+    test('does not hold back unrelated writes while a transaction is pending', () => {
+        const other = signal(0);
+        const calls = [];
+        other.subscribe((value) => calls.push(value));
+
+        transaction(() => new Promise(() => { }));
+        other.set(1);
+
+        expect(calls).toEqual([1]);
+    });
+
+    test('flushes and rethrows when the transaction rejects', async () => {
+        const count = signal(0);
+        const calls = [];
+        count.subscribe((value) => calls.push(value));
+
+        await expect(transaction(async () => {
+            count.set(5);
+            throw new Error('rejected');
+        })).rejects.toThrow('rejected');
+        expect(calls).toEqual([5]);
+    });
+});
+
+describe('glitch-free propagation', () => {
+    test('diamond dependencies notify once with consistent inputs', () => {
+        const source = signal(1);
+        const doubled = computed(() => source.get() * 2);
+        const incremented = computed(() => source.get() + 1);
+        const combined = computed(() => `${doubled.get()}:${incremented.get()}`);
+        const calls = [];
+        combined.subscribe((value) => calls.push(value));
+
+        source.set(2);
+        source.set(5);
+
+        expect(calls).toEqual(['4:3', '10:6']);
+    });
+
+    test('sync effects run once per propagation and never see half-updated values', () => {
+        const source = signal(1);
+        const doubled = computed(() => source.get() * 2);
+        const tripled = computed(() => source.get() * 3);
+        const observed = [];
+
+        const dispose = zenEffect(() => {
+            observed.push([source.get(), doubled.get(), tripled.get()]);
+        }, { flush: 'sync' });
+
+        source.set(2);
+        batch(() => {
+            source.set(3);
+            source.set(4);
+        });
+        dispose();
+
+        expect(observed).toEqual([[1, 2, 3], [2, 4, 6], [4, 8, 12]]);
+    });
+
+    test('skips dependents when a computed result is unchanged', () => {
+        const count = signal(2);
+        const isEven = computed(() => count.get() % 2 === 0);
+        let runs = 0;
+
+        const dispose = zenEffect(() => {
+            runs += 1;
+            isEven.get();
+        }, { flush: 'sync' });
+
+        count.set(4);
+        count.set(6);
+        expect(runs).toBe(1);
+
+        count.set(7);
+        expect(runs).toBe(2);
+        dispose();
+    });
+
+    test('explicit zeneffect runs once when several dependencies change together', () => {
+        const first = signal(0);
+        const second = signal(0);
+        let runs = 0;
+
+        const dispose = zeneffect([first, second], () => {
+            runs += 1;
+        });
+
+        batch(() => {
+            first.set(1);
+            second.set(1);
+        });
+        dispose();
+
+        expect(runs).toBe(2);
+    });
+});
+
+describe('untrack() and peek()', () => {
+    test('reads inside untrack() do not become effect dependencies', () => {
+        const count = signal(0);
+        const config = signal('verbose');
+        const observed = [];
+
+        const dispose = zenEffect(() => {
+            observed.push(`${count.get()}:${untrack(() => config.get())}`);
+        }, { flush: 'sync' });
+
+        config.set('quiet');
+        count.set(1);
+        dispose();
+
+        expect(observed).toEqual(['0:verbose', '1:quiet']);
+    });
+
+    test('peek() reads signal, state, and computed values without subscribing', () => {
+        const count = signal(1);
+        const store = state({ label: 'a' });
+        const doubled = computed(() => count.get() * 2);
+        let runs = 0;
+
+        const dispose = zenEffect(() => {
+            runs += 1;
+            count.peek();
+            store.peek();
+            doubled.peek();
+        }, { flush: 'sync' });
+
+        count.set(2);
+        store.set({ label: 'b' });
+        dispose();
+
+        expect(runs).toBe(1);
+        expect(count.peek()).toBe(2);
+        expect(store.peek()).toEqual({ label: 'b' });
+        expect(doubled.peek()).toBe(4);
+    });
+
+    test('untrack() returns the callback result and restores tracking', () => {
+        const count = signal(0);
+        let runs = 0;
+
+        const dispose = zenEffect(() => {
+            runs += 1;
+            expect(untrack(() => 'value')).toBe('value');
+            count.get();
+        }, { flush: 'sync' });
+
+        count.set(1);
+        dispose();
+
+        expect(runs).toBe(2);
+    });
+});
+
+describe('equality options', () => {
+    test('signal() accepts a custom equals comparator', () => {
+        const point = signal({ x: 0, y: 0 }, { equals: (prev, next) => prev.x === next.x });
+        const calls = [];
+        point.subscribe((value) => calls.push(value.x));
+
+        point.set({ x: 0, y: 5 });
+        point.set({ x: 1, y: 5 });
+
+        expect(calls).toEqual([1]);
+        expect(point.get()).toEqual({ x: 1, y: 5 });
+    });
+
+    test('signal() notifies on every write with equals: false', () => {
+        const tick = signal(0, { equals: false });
+        const calls = [];
+        tick.subscribe((value) => calls.push(value));
+
+        tick.set(0);
+        tick.set(0);
+
+        expect(calls).toEqual([0, 0]);
+    });
+
+    test('state() suppresses shallow-equal writes by default', () => {
+        const store = state({ same: 'value', count: 1 });
+        const calls = [];
+        store.subscribe((next) => calls.push(next.count));
+        const before = store.get();
+
+        expect(store.set({ same: 'value' })).toBe(before);
+        store.set((prev) => ({ ...prev }));
+        store.set({ count: 2 });
+
+        expect(calls).toEqual([2]);
+    });
+
+    test('state() accepts a custom comparator or equals: false', () => {
+        const byVersion = state({ version: 1, data: 'a' }, {
+            equals: (prev, next) => prev.version === next.version
+        });
+        const always = state({ count: 0 }, { equals: false });
+        const calls = [];
+        byVersion.subscribe((next) => calls.push(`version:${next.data}`));
+        always.subscribe((next) => calls.push(`always:${next.count}`));
+
+        byVersion.set({ data: 'b' });
+        byVersion.set({ version: 2, data: 'c' });
+        always.set({ count: 0 });
+
+        expect(calls).toEqual(['version:c', 'always:0']);
+    });
+
+    test('rejects invalid equals options', () => {
+        expect(() => signal(0, { equals: 'shallow' })).toThrow('options.equals must be a function or false');
+        expect(() => state({}, [])).toThrow('requires options object');
+    });
+
+    test('shallowEqual compares own keys with Object.is', () => {
+        expect(shallowEqual({ a: 1, b: NaN }, { a: 1, b: NaN })).toBe(true);
+        expect(shallowEqual({ a: {} }, { a: {} })).toBe(false);
+        expect(shallowEqual([1, 2], [1, 2])).toBe(true);
+        expect(shallowEqual([1], { 0: 1 })).toBe(false);
+        expect(shallowEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    });
+});
+
+describe('state.select()', () => {
+    test('fires only when the selected slice changes', () => {
+        const store = state({ user: 'ada', cart: [], ui: { open: false } });
+        const user = store.select((snapshot) => snapshot.user);
+        const calls = [];
+        user.subscribe((value) => calls.push(value));
+
+        store.set({ ui: { open: true } });
+        store.set({ cart: ['book'] });
+        store.set({ user: 'grace' });
+
+        expect(calls).toEqual(['grace']);
+        expect(user.get()).toBe('grace');
+        expect(typeof user.set).toBe('undefined');
+        expect(Number.isInteger(user.__zenith_id)).toBe(true);
+    });
+
+    test('accepts a custom equals for derived slices', () => {
+        const store = state({ items: [1, 2], filter: 'all' });
+        const items = store.select((snapshot) => snapshot.items.slice(), shallowEqual);
+        const calls = [];
+        items.subscribe((value) => calls.push(value));
+
+        store.set({ filter: 'done' });
+        store.set((prev) => ({ ...prev, items: [1, 2] }));
+        store.set((prev) => ({ ...prev, items: [1, 2, 3] }));
+
+        expect(calls).toEqual([[1, 2, 3]]);
+    });
+
+    test('is auto-tracked by zenEffect', () => {
+        const store = state({ count: 0, label: 'x' });
+        const count = store.select((snapshot) => snapshot.count);
+        let runs = 0;
+
+        const dispose = zenEffect(() => {
+            runs += 1;
+            count.get();
+        }, { flush: 'sync' });
+
+        store.set({ label: 'y' });
+        store.set({ count: 1 });
+        dispose();
+
+        expect(runs).toBe(2);
+    });
+
+    test('requires a selector function', () => {
+        const store = state({});
+        expect(() => store.select('user')).toThrow('state.select(selector) requires a function');
+    });
+});
+
+describe('state path updates', () => {
+    test('setIn() copies only the containers along the path', () => {
+        const store = state({
+            settings: { theme: { mode: 'light', accent: 'blue' }, fontSize: 14 },
+            profile: { name: 'Ada' }
+        });
+        const before = store.get();
+
+        const next = store.setIn(['settings', 'theme', 'mode'], 'dark');
+
+        expect(next.settings.theme).toEqual({ mode: 'dark', accent: 'blue' });
+        expect(next.settings).not.toBe(before.settings);
+        expect(next.profile).toBe(before.profile);
+        expect(before.settings.theme.mode).toBe('light');
+    });
+
+    test('deep-freezes the new snapshot', () => {
+        const store = state({ settings: { theme: { mode: 'light' } }, tags: ['a'] });
+        const next = store.setIn(['settings', 'theme', 'mode'], 'dark');
+
+        expect(Object.isFrozen(next.settings)).toBe(true);
+        expect(Object.isFrozen(next.settings.theme)).toBe(true);
+        expect(Object.isFrozen(next.tags)).toBe(true);
+    });
+
+    test('freezes runtime-owned copies, never the caller\'s objects or refs', () => {
+        const theme = { mode: 'light' };
+        const page = { current: 2, total: 9 };
+        const anchor = ref();
+        const store = state({ settings: { theme }, page, anchor });
+
+        expect(Object.isFrozen(theme)).toBe(false);
+        expect(Object.isFrozen(page)).toBe(false);
+        expect(Object.isFrozen(store.get().settings.theme)).toBe(true);
+        expect(Object.isFrozen(store.get().page)).toBe(true);
+        expect(store.get().anchor).toBe(anchor);
+        expect(Object.isFrozen(anchor)).toBe(false);
+
+        const emitted = { current: null };
+        const sealed = state({ a: Object.freeze({ b: { c: 1 } }), emitted });
+        expect(Object.isFrozen(sealed.get().a.b)).toBe(true);
+        expect(sealed.get().emitted).toBe(emitted);
+        emitted.current = 'node';
+        expect(sealed.get().emitted.current).toBe('node');
+
+        const tags = ['a'];
+        store.setIn(['tags'], tags);
+        tags.push('b');
+        expect(store.get().tags).toEqual(['a']);
+        expect(Object.isFrozen(tags)).toBe(false);
+    });
+
+    test('update() applies a function to the current leaf value', () => {
+        const store = state({ settings: { fontSize: 14 }, items: [{ done: false }] });
+
+        store.update(['settings', 'fontSize'], (size) => size + 2);
+        store.update(['items', 0, 'done'], (done) => !done);
+
+        expect(store.get().settings.fontSize).toBe(16);
+        expect(store.get().items).toEqual([{ done: true }]);
+        expect(Array.isArray(store.get().items)).toBe(true);
+    });
+
+    test('creates missing containers and skips no-op writes', () => {
+        const store = state({ settings: { mode: 'light' } });
+        const calls = [];
+        store.subscribe((next) => calls.push(next));
+
+        store.setIn(['settings', 'mode'], 'light');
+        store.setIn(['layout', 'sidebar', 'width'], 240);
+
+        expect(calls).toHaveLength(1);
+        expect(store.get().layout).toEqual({ sidebar: { width: 240 } });
+    });
+
+    test('blocks unsafe path segments', () => {
+        const store = state({ settings: {} });
+
+        expect(() => store.setIn(['__proto__', 'polluted'], true)).toThrow('blocked unsafe path segment "__proto__"');
+        expect(() => store.update(['settings', 'constructor'], () => 1)).toThrow('blocked unsafe path segment "constructor"');
+        expect(() => store.setIn([], 1)).toThrow('requires a non-empty path array');
+        expect({}.polluted).toBeUndefined();
+    });
+
+    test('refuses to write through non-plain values', () => {
+        const store = state({ label: 'text' });
+        expect(() => store.setIn(['label', 'length'], 1)).toThrow('cannot write "length" through a non-plain value');
+    });
+});
+
+describe('effect error handling', () => {
+    let originalConsoleError;
+    let reported;
+
+    beforeEach(() => {
+        reported = [];
+        originalConsoleError = console.error;
+        console.error = (...args) => reported.push(args);
+    });
+
+    afterEach(() => {
+        console.error = originalConsoleError;
+    });
+
+    test('reports effect failures as EFFECT_FAILED with the scope label', () => {
+        const scope = createSideEffectScope('Counter:0');
+        const count = signal(0);
+        const seen = [];
+        zenEffect(() => {
+            seen.push(count.get());
+            if (count.get() === 1) {
+                throw new Error('effect broke');
+            }
+        }, { flush: 'sync' }, scope);
+
+        activateSideEffectScope(scope);
+        expect(() => count.set(1)).not.toThrow();
+        expect(reported).toHaveLength(1);
+        expect(reported[0][1]).toMatchObject({
+            kind: 'ZENITH_RUNTIME_ERROR',
+            phase: 'effect',
+            code: 'EFFECT_FAILED',
+            path: 'Counter:0'
+        });
+        expect(reported[0][1].message).toContain('effect broke');
+
+        // dependencies stay tracked, so the effect recovers on the next change
+        count.set(2);
+        expect(seen).toEqual([0, 1, 2]);
+        disposeSideEffectScope(scope);
+    });
+
+    test('hands failures to the scope onError handler instead of diagnostics', () => {
+        const failures = [];
+        const scope = createSideEffectScope('Panel:0', {
+            onError: (error, info) => failures.push([error.message, info])
+        });
+
+        zenMount(() => {
+            throw new Error('mount broke');
+        }, scope);
+        zenMount((ctx) => {
+            ctx.cleanup(() => {
+                throw new Error('cleanup broke');
+            });
+        }, scope);
+
+        activateSideEffectScope(scope);
+        disposeSideEffectScope(scope);
+
+        expect(failures).toEqual([
+            ['mount broke', { scope: 'Panel:0', stage: 'mount' }],
+            ['cleanup broke', { scope: 'Panel:0', stage: 'cleanup' }]
+        ]);
+        expect(reported).toHaveLength(0);
+    });
+
+    test('reports the handler error when onError itself throws', () => {
+        const scope = createSideEffectScope('Broken:0', {
+            onError: () => {
+                throw new Error('handler broke');
+            }
+        });
+        zenMount(() => {
+            throw new Error('mount broke');
+        }, scope);
+
+        activateSideEffectScope(scope);
+
+        expect(reported).toHaveLength(1);
+        expect(reported[0][1].message).toContain('onError failed in Broken:0: handler broke');
+        disposeSideEffectScope(scope);
+    });
+
+    test('keeps draining cleanups after one fails', () => {
+        const scope = createSideEffectScope('List:0');
+        const cleaned = [];
+        zenMount((ctx) => {
+            ctx.cleanup(() => cleaned.push('first'));
+            ctx.cleanup(() => {
+                throw new Error('cleanup broke');
+            });
+            ctx.cleanup(() => cleaned.push('last'));
+        }, scope);
+
+        activateSideEffectScope(scope);
+        disposeSideEffectScope(scope);
+
+        expect(cleaned).toEqual(['last', 'first']);
+        expect(reported).toHaveLength(1);
+        expect(reported[0][1].message).toContain('cleanup failed in List:0');
+    });
+
+    test('validates onError', () => {
+        expect(() => createSideEffectScope('x', { onError: 'nope' })).toThrow('onError must be a function');
+    });
+});
+
+describe('update loop guards', () => {
+    let originalConsoleError;
+    let reported;
+
+    beforeEach(() => {
+        reported = [];
+        originalConsoleError = console.error;
+        console.error = (...args) => reported.push(args);
+    });
+
+    afterEach(() => {
+        console.error = originalConsoleError;
+    });
+
+    test('stops a sync effect that writes the signal it reads', () => {
+        const scope = createSideEffectScope('Loop:0');
+        const count = signal(0);
+        let runs = 0;
+        zenEffect(() => {
+            runs += 1;
+            count.set(count.get() + 1);
+        }, { flush: 'sync' }, scope);
+
+        activateSideEffectScope(scope);
+        expect(runs).toBe(1);
+
+        // the first run subscribes after its write, so the loop starts here
+        expect(() => count.set(10)).not.toThrow();
+        expect(runs).toBe(101);
+        expect(reported).toHaveLength(1);
+        expect(reported[0][1]).toMatchObject({
+            phase: 'effect',
+            code: 'INFINITE_UPDATE_LOOP',
+            path: 'Loop:0'
+        });
+        expect(reported[0][1].message).toContain(`signals #${count.__zenith_id}`);
+        disposeSideEffectScope(scope);
+    });
+
+    test('stops a post-flush effect loop spinning the microtask queue', async () => {
+        const previous = setMaxUpdateDepth(20);
+        const scope = createSideEffectScope('Loop:1');
+        const count = signal(0);
+        let runs = 0;
+
+        try {
+            zenEffect(() => {
+                runs += 1;
+                count.set(count.get() + 1);
+            }, null, scope);
+            activateSideEffectScope(scope);
+            await Promise.resolve();
+            expect(runs).toBe(1);
+
+            count.set(10);
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            expect(runs).toBe(21);
+            expect(reported).toHaveLength(1);
+            expect(reported[0][1].code).toBe('INFINITE_UPDATE_LOOP');
+        } finally {
+            setMaxUpdateDepth(previous);
+            disposeSideEffectScope(scope);
+        }
+    });
+
+    test('stops a subscriber that writes the signal it listens to', () => {
+        const count = signal(0);
+        let calls = 0;
+        const unsubscribe = count.subscribe((value) => {
+            calls += 1;
+            count.set(value + 1);
+        });
+
+        expect(() => count.set(1)).toThrow('INFINITE_UPDATE_LOOP');
+        expect(calls).toBe(101);
+        expect(reported[0][1]).toMatchObject({ phase: 'effect', code: 'INFINITE_UPDATE_LOOP' });
+        expect(reported[0][1].message).toContain(`signals #${count.__zenith_id}`);
+
+        unsubscribe();
+        const seen = [];
+        count.subscribe((value) => seen.push(value));
+        count.set(0);
+        expect(seen).toEqual([0]);
+    });
+
+    test('applies the configured depth to subscribe() loops', () => {
+        const previous = setMaxUpdateDepth(20);
+        const count = signal(0);
+        let calls = 0;
+        count.subscribe((value) => {
+            calls += 1;
+            count.set(value + 1);
+        });
+
+        try {
+            expect(() => count.set(1)).toThrow('exceeded 20 nested updates');
+            expect(calls).toBe(21);
+        } finally {
+            setMaxUpdateDepth(previous);
+        }
+    });
+
+    test('stops two subscribers that write each other', () => {
+        const left = signal(0);
+        const right = signal(0);
+        left.subscribe((value) => right.set(value + 1));
+        right.subscribe((value) => left.set(value + 1));
+
+        expect(() => left.set(1)).toThrow('INFINITE_UPDATE_LOOP');
+        expect(reported).toHaveLength(1);
+        expect(left.peek()).toBeLessThan(250);
+    });
+
+    test('does not count independent writes as nested updates', () => {
+        const count = signal(0);
+        const seen = [];
+        const dispose = zenEffect(() => {
+            seen.push(count.get());
+        }, { flush: 'sync' });
+
+        for (let i = 1; i <= 250; i++) {
+            count.set(i);
+        }
+
+        expect(seen).toHaveLength(251);
+        expect(reported).toHaveLength(0);
+        dispose();
+    });
+
+    test('validates the configured depth', () => {
+        expect(() => setMaxUpdateDepth(0)).toThrow('requires a positive integer');
+    });
+});
+
+describe('effect scheduling lanes', () => {
+    function nextMacrotask() {
+        return new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    test('runs user-blocking effects before normal ones scheduled earlier', async () => {
+        const source = signal(0);
+        const order = [];
+        const disposeNormal = zenEffect(() => {
+            source.get();
+            order.push('normal');
+        });
+        const disposeUrgent = zenEffect(() => {
+            source.get();
+            order.push('user-blocking');
+        }, { priority: 'user-blocking' });
+
+        await Promise.resolve();
+        order.length = 0;
+
+        source.set(1);
+        await Promise.resolve();
+        expect(order).toEqual(['user-blocking', 'normal']);
+
+        disposeNormal();
+        disposeUrgent();
+    });
+
+    test('defers background effects to a later macrotask', async () => {
+        const source = signal(0);
+        const order = [];
+        const disposeBackground = zenEffect(() => {
+            order.push(`background:${source.get()}`);
+        }, { priority: 'background' });
+        const disposeNormal = zenEffect(() => {
+            order.push(`normal:${source.get()}`);
+        });
+
+        await Promise.resolve();
+        expect(order).toEqual(['normal:0']);
+
+        await nextMacrotask();
+        expect(order).toEqual(['normal:0', 'background:0']);
+
+        source.set(1);
+        disposeBackground();
+        await nextMacrotask();
+        expect(order).toEqual(['normal:0', 'background:0', 'normal:1']);
+        disposeNormal();
+    });
+
+    test('runs idle effects through requestIdleCallback with a timeout', () => {
+        const originalRequest = globalThis.requestIdleCallback;
+        const originalCancel = globalThis.cancelIdleCallback;
+        const requests = [];
+        const cancelled = [];
+        globalThis.requestIdleCallback = (callback, options) => {
+            requests.push({ callback, options });
+            return requests.length;
+        };
+        globalThis.cancelIdleCallback = (handle) => cancelled.push(handle);
+
+        try {
+            const source = signal(0);
+            const seen = [];
+            const dispose = zenEffect(() => {
+                seen.push(source.get());
+            }, { idle: true, idleTimeoutMs: 250 });
+
+            expect(requests).toHaveLength(1);
+            expect(requests[0].options).toEqual({ timeout: 250 });
+            expect(seen).toEqual([]);
+
+            requests[0].callback({ didTimeout: false, timeRemaining: () => 10 });
+            expect(seen).toEqual([0]);
+
+            source.set(1);
+            source.set(2);
+            expect(requests).toHaveLength(2);
+
+            dispose();
+            expect(cancelled).toEqual([2]);
+        } finally {
+            globalThis.requestIdleCallback = originalRequest;
+            globalThis.cancelIdleCallback = originalCancel;
+        }
+    });
+
+    test('falls back to setTimeout when requestIdleCallback is unavailable', async () => {
+        const originalRequest = globalThis.requestIdleCallback;
+        globalThis.requestIdleCallback = undefined;
+
+        try {
+            const seen = [];
+            const dispose = zenEffect(() => {
+                seen.push('ran');
+            }, { idle: true });
+
+            await Promise.resolve();
+            expect(seen).toEqual([]);
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            expect(seen).toEqual(['ran']);
+            dispose();
+        } finally {
+            globalThis.requestIdleCallback = originalRequest;
+        }
+    });
+
+    test('validates priority and idle options', () => {
+        expect(() => zenEffect(() => { }, { priority: 'urgent' })).toThrow('options.priority must be');
+        expect(() => zenEffect(() => { }, { priority: 'background', flush: 'sync' })).toThrow('applies only to post-flush effects');
+        expect(() => zenEffect(() => { }, { idle: true, raf: true })).toThrow('only one scheduler');
+        expect(() => zenEffect(() => { }, { idleTimeoutMs: 100 })).toThrow('requires idle: true');
+    });
+});
+
+describe('async effects', () => {
+    let originalConsoleError;
+    let reported;
+
+    beforeEach(() => {
+        reported = [];
+        originalConsoleError = console.error;
+        console.error = (...args) => reported.push(args);
+    });
+
+    afterEach(() => {
+        console.error = originalConsoleError;
+    });
+
+    function nextMacrotask() {
+        return new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    test('aborts ctx.signal when the effect re-runs or is disposed', () => {
+        const source = signal(0);
+        const signals = [];
+        const dispose = zenEffect((ctx) => {
+            source.get();
+            signals.push(ctx.signal);
+        }, { flush: 'sync' });
+
+        source.set(1);
+        expect(signals).toHaveLength(2);
+        expect(signals[0].aborted).toBe(true);
+        expect(signals[1].aborted).toBe(false);
+
+        dispose();
+        expect(signals[1].aborted).toBe(true);
+    });
+
+    test('registers the cleanup resolved by an async effect', async () => {
+        const source = signal(0);
+        const cleaned = [];
+        const dispose = zenEffect(async () => {
+            const value = source.get();
+            await Promise.resolve();
+            return () => cleaned.push(value);
+        }, { flush: 'sync' });
+
+        await nextMacrotask();
+        expect(cleaned).toEqual([]);
+
+        source.set(1);
+        expect(cleaned).toEqual([0]);
+
+        await nextMacrotask();
+        dispose();
+        expect(cleaned).toEqual([0, 1]);
+    });
+
+    test('runs a resolved cleanup immediately when the run was superseded', async () => {
+        const source = signal(0);
+        const cleaned = [];
+        const dispose = zenEffect(async () => {
+            const value = source.get();
+            await nextMacrotask();
+            return () => cleaned.push(value);
+        }, { flush: 'sync' });
+
+        source.set(1);
+        await nextMacrotask();
+        await nextMacrotask();
+        expect(cleaned).toEqual([0]);
+
+        dispose();
+        expect(cleaned).toEqual([0, 1]);
+    });
+
+    test('reports rejected effects and ignores aborts of superseded runs', async () => {
+        const scope = createSideEffectScope('Async:0');
+        const source = signal(0);
+        zenEffect(async (ctx) => {
+            const value = source.get();
+            await Promise.resolve();
+            if (ctx.signal.aborted) {
+                const abort = new Error('aborted');
+                abort.name = 'AbortError';
+                throw abort;
+            }
+            if (value === 2) {
+                throw new Error('request failed');
+            }
+        }, { flush: 'sync' }, scope);
+        activateSideEffectScope(scope);
+
+        source.set(1);
+        source.set(2);
+        await nextMacrotask();
+
+        expect(reported).toHaveLength(1);
+        expect(reported[0][1]).toMatchObject({ code: 'EFFECT_FAILED', path: 'Async:0' });
+        expect(reported[0][1].message).toContain('request failed');
+        disposeSideEffectScope(scope);
+    });
+
+    test('supports async zenMount callbacks', async () => {
+        const scope = createSideEffectScope('AsyncMount:0');
+        const cleaned = [];
+        let mountSignal = null;
+        zenMount(async (ctx) => {
+            mountSignal = ctx.signal;
+            await Promise.resolve();
+            return () => cleaned.push('mount');
+        }, scope);
+
+        activateSideEffectScope(scope);
+        await nextMacrotask();
+
+        disposeSideEffectScope(scope);
+        expect(cleaned).toEqual(['mount']);
+        expect(mountSignal.aborted).toBe(true);
+    });
+});
+
+describe('hierarchical scopes', () => {
+    test('disposes children with their parent in reverse order', () => {
+        const parent = createSideEffectScope('Page:0');
+        const first = createSideEffectScope('Sidebar:0', parent);
+        const second = createSideEffectScope('Chart:0', parent);
+        const order = [];
+        zenMount(() => () => order.push('page'), parent);
+        zenMount(() => () => order.push('sidebar'), first);
+        zenMount(() => () => order.push('chart'), second);
+
+        activateSideEffectScope(parent);
+        disposeSideEffectScope(parent);
+
+        // children first (newest to oldest), then the parent's own cleanups
+        expect(order).toEqual(['chart', 'sidebar', 'page']);
+        expect(first.disposed).toBe(true);
+        expect(second.disposed).toBe(true);
+    });
+
+    test('activates children together with their parent', () => {
+        const parent = createSideEffectScope('Page:0');
+        const child = createSideEffectScope('Widget:0', parent);
+        const mounted = [];
+        zenMount(() => {
+            mounted.push('widget');
+        }, child);
+
+        expect(mounted).toEqual([]);
+        activateSideEffectScope(parent);
+        expect(mounted).toEqual(['widget']);
+
+        const late = createSideEffectScope('Late:0', parent);
+        zenMount(() => {
+            mounted.push('late');
+        }, late);
+        expect(mounted).toEqual(['widget', 'late']);
+        disposeSideEffectScope(parent);
+    });
+
+    test('detaches a child disposed before its parent', () => {
+        const parent = createSideEffectScope('Page:0');
+        const child = createSideEffectScope('Modal:0', parent);
+        const cleaned = [];
+        zenMount(() => () => cleaned.push('modal'), child);
+        activateSideEffectScope(parent);
+
+        disposeSideEffectScope(child);
+        expect(cleaned).toEqual(['modal']);
+        expect(parent.children).toHaveLength(0);
+
+        disposeSideEffectScope(parent);
+        expect(cleaned).toEqual(['modal']);
+    });
+
+    test('bubbles unhandled failures to the nearest ancestor onError', () => {
+        const failures = [];
+        const parent = createSideEffectScope('Page:0', {
+            onError: (error, info) => failures.push([error.message, info.scope])
+        });
+        const child = createSideEffectScope('Widget:0', parent);
+        zenMount(() => {
+            throw new Error('widget broke');
+        }, child);
+
+        activateSideEffectScope(parent);
+        expect(failures).toEqual([['widget broke', 'Widget:0']]);
+        disposeSideEffectScope(parent);
+    });
+
+    test('runInScope() attaches effects, mounts and new scopes to the current scope', () => {
+        const parent = createSideEffectScope('Page:0');
+        activateSideEffectScope(parent);
+        const count = signal(0);
+        const seen = [];
+
+        const [child, withOptions] = runInScope(parent, () => {
+            zenEffect(() => {
+                seen.push(count.get());
+            }, { flush: 'sync' });
+            return [createSideEffectScope('Nested:0'), createSideEffectScope('Nested:1', { onError: () => { } })];
+        });
+
+        expect(child.parent).toBe(parent);
+        expect(child.mountReady).toBe(true);
+        expect(withOptions.parent).toBe(parent);
+        expect(withOptions.mountReady).toBe(true);
+        expect(seen).toEqual([0]);
+
+        disposeSideEffectScope(parent);
+        count.set(1);
+        expect(seen).toEqual([0]);
+        expect(child.disposed).toBe(true);
+        expect(withOptions.disposed).toBe(true);
+    });
+
+    test('runInScope() restores the previous scope after throwing', () => {
+        const scope = createSideEffectScope('Page:0');
+        expect(() => runInScope(scope, () => {
+            throw new Error('boom');
+        })).toThrow('boom');
+
+        const detached = createSideEffectScope('Root:0');
+        expect(detached.parent).toBeNull();
+        expect(() => runInScope({}, () => { })).toThrow('requires a side-effect scope');
+    });
 });
@@ -0,0 +1,133 @@
+import { signal } from '../src/signal.js';
+import { resource } from '../src/resource.js';
+import { createSideEffectScope, activateSideEffectScope, disposeSideEffectScope } from '../src/zeneffect.js';
+
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+function flushPromises() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe('resource()', () => {
+    test('exposes data, loading and error for the current source value', async () => {
+        const userId = signal(1);
+        const user = resource(userId, (id) => Promise.resolve({ id }));
+
+        expect(user.loading.get()).toBe(true);
+        expect(user.data.get()).toBeUndefined();
+
+        await flushPromises();
+        expect(user.loading.get()).toBe(false);
+        expect(user.data.get()).toEqual({ id: 1 });
+        expect(user.error.get()).toBeNull();
+
+        userId.set(2);
+        expect(user.loading.get()).toBe(true);
+        expect(user.data.get()).toEqual({ id: 1 });
+
+        await flushPromises();
+        expect(user.data.get()).toEqual({ id: 2 });
+        user.dispose();
+    });
+
+    test('aborts the previous request and ignores its late result', async () => {
+        const query = signal('a');
+        const requests = [];
+        const search = resource(query, (value, { signal: abortSignal }) => {
+            const request = deferred();
+            requests.push({ value, abortSignal, request });
+            return request.promise;
+        });
+
+        query.set('ab');
+        expect(requests).toHaveLength(2);
+        expect(requests[0].abortSignal.aborted).toBe(true);
+        expect(requests[1].abortSignal.aborted).toBe(false);
+
+        requests[1].request.resolve('results for ab');
+        requests[0].request.resolve('results for a');
+        await flushPromises();
+
+        expect(search.data.get()).toBe('results for ab');
+        expect(search.loading.get()).toBe(false);
+        search.dispose();
+    });
+
+    test('surfaces fetcher failures through error', async () => {
+        const id = signal(1);
+        const failure = new Error('not found');
+        const item = resource(id, (value) => {
+            if (value === 1) {
+                throw failure;
+            }
+            return Promise.resolve(value);
+        });
+
+        await flushPromises();
+        expect(item.error.get()).toBe(failure);
+        expect(item.loading.get()).toBe(false);
+
+        id.set(2);
+        expect(item.error.get()).toBeNull();
+        await flushPromises();
+        expect(item.data.get()).toBe(2);
+        item.dispose();
+    });
+
+    test('refetch() re-runs the fetcher and mutate() writes data locally', async () => {
+        const id = signal(7);
+        const calls = [];
+        const item = resource(id, (value, { refetching }) => {
+            calls.push({ value, refetching });
+            return Promise.resolve({ value, count: calls.length });
+        });
+
+        await flushPromises();
+        item.refetch();
+        await flushPromises();
+
+        expect(calls).toEqual([
+            { value: 7, refetching: false },
+            { value: 7, refetching: true }
+        ]);
+        expect(item.data.get()).toEqual({ value: 7, count: 2 });
+
+        item.mutate((prev) => ({ ...prev, count: 99 }));
+        expect(item.data.get()).toEqual({ value: 7, count: 99 });
+        item.dispose();
+    });
+
+    test('waits for its scope to mount and aborts on scope disposal', async () => {
+        const scope = createSideEffectScope('resource-test');
+        const id = signal(1);
+        const requests = [];
+        const item = resource(id, (value, { signal: abortSignal }) => {
+            requests.push(abortSignal);
+            return deferred().promise;
+        }, scope);
+
+        expect(requests).toHaveLength(0);
+        activateSideEffectScope(scope);
+        expect(requests).toHaveLength(1);
+
+        disposeSideEffectScope(scope);
+        expect(requests[0].aborted).toBe(true);
+
+        id.set(2);
+        expect(requests).toHaveLength(1);
+        expect(item.loading.get()).toBe(true);
+    });
+
+    test('validates its arguments', () => {
+        expect(() => resource(null, () => { })).toThrow('requires a signal source');
+        expect(() => resource(signal(0))).toThrow('requires a fetcher function');
+    });
+});
@@ -0,0 +1,166 @@
+import { signal } from '../src/signal.js';
+import { state } from '../src/state.js';
+import { computed } from '../src/computed.js';
+import { ref } from '../src/ref.js';
+import { signalMap } from '../src/collections.js';
+import { hydrate } from '../src/hydrate.js';
+import { cleanup } from '../src/cleanup.js';
+import { serializeState } from '../src/serialize.js';
+
+const OVERLAY_ID = '__zenith_runtime_error_overlay';
+
+describe('serializeState()', () => {
+    let originalConsoleError;
+    let reported;
+
+    beforeEach(() => {
+        reported = [];
+        originalConsoleError = console.error;
+        console.error = (...args) => reported.push(args);
+    });
+
+    afterEach(() => {
+        console.error = originalConsoleError;
+        const overlay = document.getElementById(OVERLAY_ID);
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+    });
+
+    test('records writable sources and skips refs, functions, read-only and static slots', () => {
+        const count = signal(3);
+        const blob = serializeState([
+            count,
+            state({ user: { name: 'Ada', nickname: undefined } }),
+            ref(),
+            () => 'handler',
+            computed(() => count.get() * 2),
+            'static',
+            signal(undefined)
+        ]);
+
+        expect(JSON.parse(blob)).toEqual({
+            zenith_state: 1,
+            entries: [
+                { kind: 'signal', value: 3 },
+                { kind: 'signal', value: { user: { name: 'Ada' } } },
+                { kind: 'skip', reason: 'ref' },
+                { kind: 'skip', reason: 'function' },
+                { kind: 'skip', reason: 'readonly' },
+                { kind: 'skip', reason: 'static' },
+                { kind: 'signal' }
+            ]
+        });
+    });
+
+    test('escapes markup so the blob can sit inside a script element', () => {
+        const blob = serializeState([signal('</script><script>alert(1)</script>')]);
+        expect(blob).not.toContain('<');
+        expect(JSON.parse(blob).entries[0].value).toBe('</script><script>alert(1)</script>');
+    });
+
+    test('rejects values JSON cannot round-trip, naming the slot and path', () => {
+        const cyclic = { name: 'loop' };
+        cyclic.self = cyclic;
+
+        expect(() => serializeState([signal({ at: new Date(0) })], ['session']))
+            .toThrow('STATE_NOT_SERIALIZABLE: state_values[0] (session) holds a Date instance');
+        expect(reported[0][1]).toMatchObject({
+            phase: 'hydrate',
+            code: 'STATE_NOT_SERIALIZABLE',
+            path: 'state_values[0].at'
+        });
+
+        expect(() => serializeState([signal(() => 1)])).toThrow('holds a function');
+        expect(() => serializeState([signal([1, undefined])])).toThrow('holds undefined inside an array');
+        expect(() => serializeState([signal({ ratio: NaN })])).toThrow('holds NaN');
+        expect(() => serializeState([signal(cyclic)])).toThrow('holds a circular reference');
+    });
+});
+
+describe('hydrate() resume', () => {
+    let container;
+    let originalConsoleError;
+    let reported;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        reported = [];
+        originalConsoleError = console.error;
+        console.error = (...args) => reported.push(args);
+    });
+
+    afterEach(() => {
+        cleanup();
+        console.error = originalConsoleError;
+        const overlay = document.getElementById(OVERLAY_ID);
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+        document.body.removeChild(container);
+    });
+
+    function hydrateCounter(stateValues, resume) {
+        container.innerHTML = '<p data-zx-e="0"></p>';
+        return hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [{ marker_index: 0, signal_index: 0 }],
+            markers: [{ index: 0, kind: 'text', selector: '[data-zx-e~="0"]' }],
+            events: [],
+            state_values: stateValues,
+            signals: [{ id: 0, kind: 'signal', state_index: 0 }],
+            resume
+        });
+    }
+
+    test('restores server values before the first render', () => {
+        const serverCount = signal(0);
+        const serverFilters = state({ tag: 'all' });
+        const serverUsers = signalMap({ ada: 'online' });
+        serverCount.set(41);
+        serverFilters.set({ tag: 'docs' });
+        serverUsers.setKey('grace', 'away');
+        const blob = serializeState([serverCount, serverFilters, serverUsers, ref()]);
+
+        const count = signal(0);
+        const filters = state({ tag: 'all' });
+        const users = signalMap();
+        hydrateCounter([count, filters, users, ref()], blob);
+
+        expect(container.querySelector('p').textContent).toBe('41');
+        expect(filters.get()).toEqual({ tag: 'docs' });
+        expect(Array.from(users.get())).toEqual([['ada', 'online'], ['grace', 'away']]);
+        count.set(42);
+        expect(container.querySelector('p').textContent).toBe('42');
+    });
+
+    test('replaces state stores instead of merging into client defaults', () => {
+        const serverFilters = state({ tag: 'all', draft: 'x' });
+        serverFilters.set(() => ({ tag: 'docs' }));
+        const blob = serializeState([signal(1), serverFilters]);
+
+        const filters = state({ tag: 'all', draft: 'x' });
+        hydrateCounter([signal(0), filters], blob);
+
+        expect(filters.get()).toEqual({ tag: 'docs' });
+        expect(Object.prototype.hasOwnProperty.call(filters.get(), 'draft')).toBe(false);
+    });
+
+    test('accepts an already-parsed blob', () => {
+        const count = signal(0);
+        hydrateCounter([count], { zenith_state: 1, entries: [{ kind: 'signal', value: 7 }] });
+        expect(container.querySelector('p').textContent).toBe('7');
+    });
+
+    test('fails with STATE_RESUME_FAILED when the blob does not match the payload', () => {
+        expect(() => hydrateCounter([signal(0)], '{broken'))
+            .toThrow('STATE_RESUME_FAILED: Serialized state is not valid JSON');
+        expect(() => hydrateCounter([signal(0)], serializeState([signal(1), signal(2)])))
+            .toThrow('Serialized state has 2 entries, state_values has 1');
+        expect(() => hydrateCounter([computed(() => 1)], serializeState([signal(1)])))
+            .toThrow('state_values[0] is not a writable signal on the client');
+        expect(reported[0][1]).toMatchObject({ phase: 'hydrate', code: 'STATE_RESUME_FAILED', path: 'resume' });
+    });
+});
@@ -0,0 +1,168 @@
+import { signal } from '../src/signal.js';
+import { state } from '../src/state.js';
+import { shared } from '../src/shared.js';
+import { createSideEffectScope, disposeSideEffectScope } from '../src/zeneffect.js';
+
+class FakeBroadcastChannel {
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        this.closed = false;
+        FakeBroadcastChannel.open.add(this);
+    }
+
+    postMessage(data) {
+        if (this.closed) {
+            throw new Error('channel closed');
+        }
+        const payload = JSON.parse(JSON.stringify(data));
+        for (const channel of FakeBroadcastChannel.open) {
+            if (channel !== this && channel.name === this.name && typeof channel.onmessage === 'function') {
+                channel.onmessage({ data: payload });
+            }
+        }
+    }
+
+    close() {
+        this.closed = true;
+        FakeBroadcastChannel.open.delete(this);
+    }
+}
+FakeBroadcastChannel.open = new Set();
+
+describe('shared()', () => {
+    let originalBroadcastChannel;
+    let originalConsoleError;
+    let reported;
+
+    beforeEach(() => {
+        originalBroadcastChannel = window.BroadcastChannel;
+        window.BroadcastChannel = FakeBroadcastChannel;
+        FakeBroadcastChannel.open.clear();
+        window.localStorage.clear();
+        reported = [];
+        originalConsoleError = console.error;
+        console.error = (...args) => reported.push(args);
+    });
+
+    afterEach(() => {
+        window.BroadcastChannel = originalBroadcastChannel;
+        console.error = originalConsoleError;
+    });
+
+    test('broadcasts set() values to other tabs on the same channel', () => {
+        const tabA = signal(0);
+        const tabB = signal(0);
+        const disposeA = shared(tabA, 'count');
+        const disposeB = shared(tabB, 'count');
+
+        tabA.set(3);
+        expect(tabB.get()).toBe(3);
+
+        tabB.set(5);
+        expect(tabA.get()).toBe(5);
+
+        disposeA();
+        disposeB();
+    });
+
+    test('applies remote updates without echoing them back', () => {
+        const tabA = state({ items: [] });
+        const tabB = state({ items: [] });
+        const disposeA = shared(tabA, 'cart');
+        const disposeB = shared(tabB, 'cart');
+
+        const posted = [];
+        const originalPostMessage = FakeBroadcastChannel.prototype.postMessage;
+        FakeBroadcastChannel.prototype.postMessage = function postMessage(data) {
+            posted.push(data);
+            return originalPostMessage.call(this, data);
+        };
+
+        try {
+            tabA.set({ items: ['apple'] });
+        } finally {
+            FakeBroadcastChannel.prototype.postMessage = originalPostMessage;
+        }
+
+        expect(tabB.get()).toEqual({ items: ['apple'] });
+        expect(posted).toHaveLength(1);
+
+        disposeA();
+        disposeB();
+    });
+
+    test('falls back to storage events when BroadcastChannel is unavailable', () => {
+        window.BroadcastChannel = undefined;
+        const auth = signal(null);
+        const dispose = shared(auth, 'auth');
+
+        auth.set({ user: 'ada' });
+        const stored = JSON.parse(window.localStorage.getItem('__zenith_shared__:auth'));
+        expect(stored.value).toEqual({ user: 'ada' });
+
+        window.dispatchEvent(new StorageEvent('storage', {
+            key: '__zenith_shared__:auth',
+            newValue: JSON.stringify({ sequence: 1, value: null })
+        }));
+        expect(auth.get()).toBeNull();
+        expect(JSON.parse(window.localStorage.getItem('__zenith_shared__:auth')).value).toEqual({ user: 'ada' });
+
+        window.dispatchEvent(new StorageEvent('storage', {
+            key: 'unrelated',
+            newValue: JSON.stringify({ value: 'ignored' })
+        }));
+        expect(auth.get()).toBeNull();
+
+        dispose();
+        window.dispatchEvent(new StorageEvent('storage', {
+            key: '__zenith_shared__:auth',
+            newValue: JSON.stringify({ sequence: 2, value: 'late' })
+        }));
+        expect(auth.get()).toBeNull();
+    });
+
+    test('disposes with its side-effect scope', () => {
+        const scope = createSideEffectScope('shared-test');
+        const tabA = signal('a');
+        const tabB = signal('a');
+        shared(tabA, 'letters', scope);
+        const disposeB = shared(tabB, 'letters');
+
+        expect(FakeBroadcastChannel.open.size).toBe(2);
+        disposeSideEffectScope(scope);
+        expect(FakeBroadcastChannel.open.size).toBe(1);
+
+        tabA.set('b');
+        tabB.set('c');
+        expect(tabA.get()).toBe('b');
+        expect(tabB.get()).toBe('c');
+
+        disposeB();
+        expect(FakeBroadcastChannel.open.size).toBe(0);
+    });
+
+    test('reports broadcast failures through diagnostics instead of throwing', () => {
+        const value = signal(0);
+        const dispose = shared(value, 'broken');
+        for (const channel of FakeBroadcastChannel.open) {
+            channel.closed = true;
+        }
+
+        expect(() => value.set(1)).not.toThrow();
+        expect(value.get()).toBe(1);
+        expect(reported).toHaveLength(1);
+        expect(reported[0][1]).toMatchObject({
+            kind: 'ZENITH_RUNTIME_ERROR',
+            phase: 'storage',
+            code: 'SHARED_SYNC_FAILED',
+            path: 'shared:broken'
+        });
+        dispose();
+    });
+
+    test('validates its arguments', () => {
+        expect(() => shared({}, 'x')).toThrow('requires a signal() or state()');
+        expect(() => shared(signal(0), '')).toThrow('requires a non-empty channel name');
+    });
+});
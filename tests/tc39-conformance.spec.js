@@ -0,0 +1,141 @@
+import { Signal } from 'signal-polyfill';
+import { fromTC39Signal, toTC39Signal } from '../src/tc39.js';
+import { signal } from '../src/signal.js';
+import { computed } from '../src/computed.js';
+import { hydrate } from '../src/hydrate.js';
+import { cleanup } from '../src/cleanup.js';
+import {
+    createSideEffectScope,
+    disposeSideEffectScope,
+    zenEffect
+} from '../src/zeneffect.js';
+
+const flushMicrotasks = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('fromTC39Signal()', () => {
+    test('reads, writes and peeks a Signal.State', () => {
+        const proposal = new Signal.State(1);
+        const count = fromTC39Signal(proposal, Signal);
+
+        expect(count.get()).toBe(1);
+        expect(count.set(2)).toBe(2);
+        expect(proposal.get()).toBe(2);
+        expect(count.peek()).toBe(2);
+        expect(Number.isInteger(count.__zenith_id)).toBe(true);
+    });
+
+    test('delivers changes to subscribers in a microtask, once per distinct value', async () => {
+        const proposal = new Signal.State('a');
+        const source = fromTC39Signal(proposal, Signal);
+        const values = [];
+        const unsubscribe = source.subscribe((value) => values.push(value));
+
+        proposal.set('b');
+        proposal.set('c');
+        expect(values).toEqual([]);
+        await flushMicrotasks();
+        expect(values).toEqual(['c']);
+
+        proposal.set('d');
+        proposal.set('c');
+        await flushMicrotasks();
+        expect(values).toEqual(['c']);
+
+        unsubscribe();
+        proposal.set('e');
+        await flushMicrotasks();
+        expect(values).toEqual(['c']);
+    });
+
+    test('works as a zenEffect and computed() dependency for Signal.Computed', async () => {
+        const base = new Signal.State(2);
+        const squared = fromTC39Signal(new Signal.Computed(() => base.get() * base.get()), Signal);
+        const label = computed(() => `squared=${squared.get()}`);
+        const seen = [];
+        const dispose = zenEffect(() => {
+            seen.push(label.get());
+        }, { flush: 'sync' });
+
+        base.set(3);
+        await flushMicrotasks();
+
+        expect(seen).toEqual(['squared=4', 'squared=9']);
+        expect(() => squared.set(1)).toThrow('requires a Signal.State');
+        dispose();
+    });
+
+    test('drives hydrate signals[] bindings', async () => {
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+        container.innerHTML = '<p data-zx-e="0"></p>';
+        const proposal = new Signal.State(0);
+
+        hydrate({
+            ir_version: 1,
+            root: container,
+            expressions: [{ marker_index: 0, signal_index: 0 }],
+            markers: [{ index: 0, kind: 'text', selector: '[data-zx-e~="0"]' }],
+            events: [],
+            state_values: [fromTC39Signal(proposal, Signal)],
+            signals: [{ id: 0, kind: 'signal', state_index: 0 }]
+        });
+
+        expect(container.querySelector('p').textContent).toBe('0');
+        proposal.set(5);
+        await flushMicrotasks();
+        expect(container.querySelector('p').textContent).toBe('5');
+
+        cleanup();
+        document.body.removeChild(container);
+    });
+
+    test('rejects values that are not proposal signals', () => {
+        expect(() => fromTC39Signal({ get: () => 1 }, Signal)).toThrow('requires a Signal.State or Signal.Computed');
+        expect(() => fromTC39Signal(new Signal.State(1), {})).toThrow('requires the Signal namespace');
+    });
+});
+
+describe('toTC39Signal()', () => {
+    test('feeds Signal.Computed and proposal watchers', () => {
+        const name = signal('ada');
+        const proposal = toTC39Signal(name, Signal);
+        const upper = new Signal.Computed(() => proposal.get().toUpperCase());
+        let notified = 0;
+        const watcher = new Signal.subtle.Watcher(() => {
+            notified += 1;
+        });
+        watcher.watch(upper);
+
+        expect(Signal.isComputed(proposal)).toBe(true);
+        expect(upper.get()).toBe('ADA');
+        name.set('grace');
+        expect(notified).toBe(1);
+        expect(upper.get()).toBe('GRACE');
+        watcher.unwatch(upper);
+    });
+
+    test('round-trips through fromTC39Signal()', async () => {
+        const count = signal(1);
+        const mirror = fromTC39Signal(toTC39Signal(count, Signal), Signal);
+        const values = [];
+        mirror.subscribe((value) => values.push(value));
+
+        count.set(2);
+        await flushMicrotasks();
+
+        expect(mirror.get()).toBe(2);
+        expect(values).toEqual([2]);
+    });
+
+    test('stops mirroring when its side-effect scope is disposed', () => {
+        const count = signal(1);
+        const scope = createSideEffectScope('Bridge:0');
+        const proposal = toTC39Signal(count, Signal, scope);
+
+        count.set(2);
+        expect(proposal.get()).toBe(2);
+        disposeSideEffectScope(scope);
+        count.set(3);
+        expect(proposal.get()).toBe(2);
+    });
+});